@@ -6,17 +6,40 @@ import {
   getProjectStatus,
   getIssues,
   getIssueSource,
+  getIssuesInComponents,
+  getIssuesPage,
+  textSearchFilters,
   getBranches,
+  getPullRequests,
 } from "../lib/api.js"
-import { printProjectStatus, printIssues, printIssuesSummary, printIssue, printHotspots, printHotspot, printRules, printRule, printMeasures, printMeasuresHistory, printComponentTree, printDuplications, printQualityProfiles, printQualityGate } from "../lib/output.js"
+import { printProjectStatus, printIssues, printIssuesSummary, printIssue, printHotspots, printHotspot, printRules, printRule, printMeasures, printMeasuresHistory, printComponentTree, printDuplications, printQualityProfiles, printQualityGate, printPullRequests, printGateCheck, printPolicyResult, printSummary, printComparison, printSnapshotDiff } from "../lib/output.js"
 import { highlight } from "cli-highlight"
 import { spawn } from "child_process"
-import { loadConfig, writeConfig, resolveConfigPath } from "../lib/config.js"
-import { fetchIssuesSummary, fetchIssue, fetchHotspots, fetchHotspot, fetchRules, fetchRule, fetchMeasures, fetchMeasuresHistory, fetchComponentTree, fetchDuplications, fetchQualityProfiles, fetchQualityGate } from "../lib/api-helpers.js"
+import fs from "fs"
+import path from "path"
+import readline from "readline/promises"
+import { loadConfig, writeConfig, resolveConfigPath, writeContext, useContext, deleteContext, resolveContext } from "../lib/config.js"
+import { configureCache, clearCache, cacheStats } from "../lib/cache.js"
+import { getCapabilities, requireCapability, describeServer } from "../lib/capabilities.js"
+import { readReportTask, detectProjectKey, detectGitBranch } from "../lib/scanner.js"
+import { gitRoot, defaultBaseRef, changedFiles, changedLines, toProjectPaths, filterIssuesToHunks } from "../lib/git.js"
+import { loadPolicy, evaluatePolicy } from "../lib/policy.js"
+import { buildSarifLog, fetchRulesFor } from "../lib/sarif.js"
+import { buildCodeClimate, buildJunit } from "../lib/ci-formats.js"
+import { compareBranches } from "../lib/compare.js"
+import { OPEN_STATUSES, saveSnapshot, loadSnapshot, diffSnapshot, isBlocker } from "../lib/snapshot.js"
+import { collectReport, renderMarkdown, renderHtml, collectSummary, renderSummaryMarkdown, metricLabel, formatValue, textSparkline } from "../lib/report.js"
+import { fetchIssuesSummary, fetchIssue, fetchHotspots, fetchHotspot, fetchRules, fetchRule, fetchMeasures, fetchMeasuresHistory, fetchComponentTree, fetchDuplications, fetchQualityProfiles, fetchQualityGate, waitForCeTask, SEARCH_WINDOW, configureHttp, isSonarCloud, ISSUE_TRANSITIONS, transitionIssue, assignIssue, addIssueComment, setIssueTags, setIssueSeverity, bulkChangeIssues, commentIssues, fetchCurrentUser, searchUsers, HOTSPOT_RESOLUTIONS, changeHotspotStatus, addHotspotComment, assignHotspot } from "../lib/api-helpers.js"
 
 const program = new Command()
 
-program.name("sonarqube-dash").description("SonarQube dashboard CLI")
+program
+  .name("sonarqube-dash")
+  .description("SonarQube dashboard CLI")
+  .option("--cache", "Use the on-disk response cache (or cache: true in the config)")
+  .option("--no-cache", "Bypass the response cache even when the config enables it")
+  .option("--offline", "Serve only cached responses, never hit the server")
+  .option("--context <name>", "Config context to use (see config get-contexts)")
 
 program
   .command("metrics")
@@ -25,8 +48,10 @@ program
   .option("-t, --token <token>", "SonarQube auth token (or env)")
   .option("-p, --project <projectKey>", "SonarQube project key (or env)")
   .option("-b, --branch <branch>", "Branch name")
+  .option("--pull-request <id>", "Pull request id (instead of a branch)")
   .option("-h, --host <url>", "SonarQube host URL (or env)")
   .option("-c, --config <path>", "Path to config file (JSON)")
+  .option("--new-code", "New code period metrics (new_coverage, new_bugs, ...) instead of overall ones", false)
   .option("--print-config", "Print resolved configuration and exit", false)
   .option("-j, --json", "Output as JSON instead of pretty text", false)
   .action(runMetrics)
@@ -39,23 +64,11 @@ const configCmd = program
 configCmd
   .command("set")
   .description("Set one or more key value pairs")
-  .argument("<kv...>", "key=value pairs to set (token project host branch)")
+  .argument("<kv...>", "key=value pairs to set (token project host branch pullRequest organization auth timeout retries retryDelay concurrency)")
   .action((pairs, opts, cmd) => {
     // pairs includes all key=value arguments
-    const parent = cmd.parent?.parent || program
-    const parentOpts = parent.opts ? parent.opts() : {}
-    const updates = {}
-    for (const pair of pairs) {
-      const idx = pair.indexOf("=")
-      if (idx === -1) {
-        console.error(chalk.red(`Invalid format (expected key=value): ${pair}`))
-        process.exit(1)
-      }
-      const key = pair.slice(0, idx)
-      const value = pair.slice(idx + 1)
-      updates[key] = value
-    }
-    const result = writeConfig(updates, parentOpts.config)
+    const parentOpts = cmd.parent.opts()
+    const result = writeConfig(parseKeyValuePairs(pairs), parentOpts.config)
     console.log(`Updated ${result.path}`)
   })
 
@@ -64,8 +77,7 @@ configCmd
   .description("Get a single key value")
   .argument("<key>", "token | project | host | branch")
   .action((key, _opts, cmd) => {
-    const parent = cmd.parent?.parent || program
-    const parentOpts = parent.opts ? parent.opts() : {}
+    const parentOpts = cmd.parent.opts()
     const { configFromFile } = loadConfig(parentOpts.config)
     if (Object.prototype.hasOwnProperty.call(configFromFile, key)) {
       if (key === "token") console.log("***")
@@ -78,46 +90,162 @@ configCmd
 configCmd
   .command("path")
   .description("Print the resolved config file path")
-  .action((_args, _opts, cmd) => {
-    const parent = cmd.parent?.parent || program
-    const parentOpts = parent.opts ? parent.opts() : {}
+  .action((_opts, cmd) => {
+    const parentOpts = cmd.parent.opts()
     console.log(resolveConfigPath(parentOpts.config))
   })
 
 configCmd
   .command("show")
   .description("Show stored config (token redacted)")
-  .action((_args, _opts, cmd) => {
-    const parent = cmd.parent?.parent || program
-    const parentOpts = parent.opts ? parent.opts() : {}
+  .action((_opts, cmd) => {
+    const parentOpts = cmd.parent.opts()
     const { configFromFile } = loadConfig(parentOpts.config)
     const out = { ...configFromFile }
     if (out.token) out.token = "***"
+    if (out.contexts) {
+      out.contexts = Object.fromEntries(
+        Object.entries(out.contexts).map(([name, ctx]) => [name, ctx.token ? { ...ctx, token: "***" } : ctx]),
+      )
+    }
     console.log(JSON.stringify(out, null, 2))
   })
 
+configCmd
+  .command("set-context")
+  .description("Create or update a named context (host, token, project, organization, ...)")
+  .argument("<name>", "Context name, e.g. prod")
+  .argument("[kv...]", "key=value pairs stored in the context")
+  .action((name, pairs, _opts, cmd) => {
+    const parentOpts = cmd.parent.opts()
+    const result = writeContext(name, parseKeyValuePairs(pairs), parentOpts.config)
+    console.log(`Context "${name}" saved in ${result.path}`)
+  })
+
+configCmd
+  .command("use-context")
+  .description("Make a context the default")
+  .argument("<name>", "Context name")
+  .action((name, _opts, cmd) => {
+    const parentOpts = cmd.parent.opts()
+    try {
+      useContext(name, parentOpts.config)
+      console.log(`Switched to context "${name}"`)
+    } catch (e) {
+      console.error(chalk.red(e.message))
+      process.exit(1)
+    }
+  })
+
+configCmd
+  .command("delete-context")
+  .description("Remove a context")
+  .argument("<name>", "Context name")
+  .action((name, _opts, cmd) => {
+    const parentOpts = cmd.parent.opts()
+    try {
+      deleteContext(name, parentOpts.config)
+      console.log(`Deleted context "${name}"`)
+    } catch (e) {
+      console.error(chalk.red(e.message))
+      process.exit(1)
+    }
+  })
+
+configCmd
+  .command("get-contexts")
+  .description("List contexts (* marks the active one)")
+  .option("--json", "JSON output")
+  .action((opts, cmd) => {
+    const parentOpts = cmd.parent.opts()
+    const { configFromFile } = loadConfig(parentOpts.config)
+    const contexts = configFromFile.contexts || {}
+    let active
+    try {
+      active = resolveContext(configFromFile, program.opts().context).name
+    } catch {
+      active = configFromFile.currentContext
+    }
+    if (opts.json) {
+      const list = Object.entries(contexts).map(([name, ctx]) => ({
+        name,
+        active: name === active,
+        host: ctx.host,
+        project: ctx.project,
+        organization: ctx.organization,
+      }))
+      console.log(JSON.stringify(list, null, 2))
+      return
+    }
+    if (!Object.keys(contexts).length) {
+      console.log(chalk.yellow("No contexts defined (config set-context <name> host=... token=...)"))
+      return
+    }
+    for (const [name, ctx] of Object.entries(contexts)) {
+      const mark = name === active ? chalk.green("*") : " "
+      console.log(`${mark} ${chalk.bold(name.padEnd(16))} ${chalk.blue(ctx.host || "")} ${chalk.gray(ctx.project || "")}`)
+    }
+  })
+
+const cacheCmd = program
+  .command("cache")
+  .description("Inspect or clear the on-disk response cache")
+
+cacheCmd
+  .command("clear")
+  .description("Delete every cached response")
+  .action(() => {
+    const { entries, bytes } = clearCache()
+    console.log(`Removed ${entries} cached responses (${formatBytes(bytes)})`)
+  })
+
+cacheCmd
+  .command("stats")
+  .description("Show cache location, size and entries per endpoint")
+  .option("--json", "JSON output")
+  .action((opts) => {
+    const stats = cacheStats()
+    if (opts.json) {
+      console.log(JSON.stringify(stats, null, 2))
+      return
+    }
+    console.log(`\n🗄️  Cache: ${chalk.bold(stats.dir)}`)
+    console.log(`Entries: ${chalk.cyan(stats.entries)} (${formatBytes(stats.bytes)}, ${stats.expired} expired)`)
+    for (const [host, endpoints] of Object.entries(stats.hosts)) {
+      console.log(`\n${chalk.bold(host)}`)
+      for (const [endpoint, e] of Object.entries(endpoints)) {
+        console.log(`  ${endpoint.padEnd(36)} ${chalk.green(e.entries)} ${chalk.gray(formatBytes(e.bytes))}`)
+      }
+    }
+    console.log("")
+  })
 
 program
   .command("print-config")
-  .description("Print resolved runtime configuration (from metrics command)")
+  .description("Print resolved runtime configuration, including the active context")
   .option("-c, --config <path>", "Path to config file (JSON)")
   .action((opts) => {
-    const { configFromFile, envConfig } = loadConfig(opts.config)
-    const merged = { ...configFromFile, ...envConfig }
+    const merged = buildRuntimeConfig(opts)
+    delete merged.json
     if (merged.token) merged.token = "***"
-    console.log(JSON.stringify(merged, null, 2))
+    const sources = Object.fromEntries(Object.keys(merged).filter((k) => merged.sources[k]).map((k) => [k, merged.sources[k]]))
+    console.log(JSON.stringify({ ...merged, sources }, null, 2))
   })
 
 program.addHelpText(
   "after",
-  `\nExamples:\n  sonarqube-dash metrics -p myproj -t $TOKEN --host https://sonar.example.com\n  sonarqube-dash issues -p myproj --severities CRITICAL,MAJOR --limit 20\n  sonarqube-dash issues:summary -p myproj\n  sonarqube-dash config set token=abc project=myproj host=https://sonar.example.com\n  sonarqube-dash config get host\n  sonarqube-dash config show\n  sonarqube-dash config path\n  sonarqube-dash print-config\n`,
+  `\nExamples:\n  sonarqube-dash metrics -p myproj -t $TOKEN --host https://sonar.example.com\n  sonarqube-dash issues -p myproj --severities CRITICAL,MAJOR --limit 20\n  sonarqube-dash issues:summary -p myproj\n  sonarqube-dash config set token=abc project=myproj host=https://sonar.example.com\n  sonarqube-dash config get host\n  sonarqube-dash config show\n  sonarqube-dash config path\n  sonarqube-dash print-config\n  sonarqube-dash issues --offline\n  sonarqube-dash cache stats\n`,
 )
 
-program
+const ISSUE_FORMATS = ["plain", "json", "sarif", "codeclimate", "junit"]
+const HOTSPOT_FORMATS = ["plain", "json", "sarif"]
+
+const issuesCmd = program
   .command("issues")
   .description("List issues for a project")
   .option("-p, --project <projectKey>", "Project key (or from config)")
   .option("-b, --branch <branch>", "Branch name")
+  .option("--pull-request <id>", "Pull request id (instead of a branch)")
   .option("-t, --token <token>", "Auth token (or from config)")
   .option("-h, --host <url>", "Host URL (or from config)")
   .option("-c, --config <path>", "Config file path")
@@ -133,29 +261,78 @@ program
     "--statuses <list>",
     "Comma list: OPEN,CONFIRMED,REOPENED,RESOLVED,CLOSED",
   )
+  .option("--impact-severities <list>", "Comma list: BLOCKER,HIGH,MEDIUM,LOW,INFO (10.2+)")
+  .option("--software-qualities <list>", "Comma list: MAINTAINABILITY,RELIABILITY,SECURITY (10.2+)")
+  .option(
+    "--clean-code-attribute-categories <list>",
+    "Comma list: ADAPTABLE,CONSISTENT,INTENTIONAL,RESPONSIBLE (10.2+)",
+  )
   .option("-l, --limit <n>", "Max issues to show (default 10)", parseInt)
+  .option("--all", "Fetch every matching issue (follows paging)")
   .option("--json", "JSON output")
+  .option("--format <format>", `Output format: ${ISSUE_FORMATS.join(" | ")}`)
+  .option("--src-root <dir>", "Repository directory of the project, prefixed to file paths (sarif, codeclimate, junit)")
+  .option("--changed", "Only issues in files changed since the merge-base with --base (local git diff)")
+  .option("--base <ref>", "Base ref for --changed (default origin/HEAD, origin/main, main, ...)")
+  .option("--lines", "With --changed, also drop issues outside the changed lines")
   .option(
     "-i, --interactive",
     "Full-screen interactive TUI (split list/detail/code)",
   )
   .action(runIssues)
 
+// Filters (-p, -b, --severities, --limit/--all, ...) are parsed by the parent `issues` command
+issuesCmd
+  .command("bulk-change")
+  .description("Apply one change to every issue matching the issues filters (default: all matches)")
+  .option("--transition <transition>", `Workflow transition (${ISSUE_TRANSITIONS.join(", ")})`)
+  .option("--assign <login>", "Assign to user login")
+  .option("--set-severity <severity>", "New severity (BLOCKER,CRITICAL,MAJOR,MINOR,INFO)")
+  .option("--set-type <type>", "New type (BUG,VULNERABILITY,CODE_SMELL)")
+  .option("--add-tags <list>", "Comma list of tags to add")
+  .option("--remove-tags <list>", "Comma list of tags to remove")
+  .option("--comment <text>", "Comment to add")
+  .option("--notify", "Send notifications to assignees / watchers", false)
+  .option("--dry-run", "Only list the issues that would change", false)
+  .option("-y, --yes", "Do not ask for confirmation", false)
+  .action(runIssuesBulkChange)
+
+const snapshotCmd = issuesCmd
+  .command("snapshot")
+  .description("Local issue baselines: save the matching issues, later diff against them")
+
+snapshotCmd
+  .command("save <file>")
+  .description("Save every issue matching the issues filters (default: unresolved) to <file>")
+  .action((file, _opts, cmd) => runSnapshotSave(file, cmd))
+
+snapshotCmd
+  .command("diff <file>")
+  .description("Classify current issues as new, fixed or unchanged against <file> (exit 1 on new blockers)")
+  .action((file, _opts, cmd) => runSnapshotDiff(file, cmd))
+
 program
   .command("issues:summary")
   .description("Show aggregated issues counts (facets)")
   .option("-p, --project <projectKey>", "Project key (or from config)")
   .option("-b, --branch <branch>", "Branch name")
+  .option("--pull-request <id>", "Pull request id (instead of a branch)")
   .option("-t, --token <token>", "Auth token (or from config)")
   .option("-h, --host <url>", "Host URL (or from config)")
   .option("-c, --config <path>", "Config file path")
-  .option("--facets <list>", "Comma list of facets (default severities,types,statuses)")
+  .option("--facets <list>", "Comma list of facets (default severities,types,statuses + Clean Code facets on 10.2+)")
+  .option("--impact-severities <list>", "Comma list: BLOCKER,HIGH,MEDIUM,LOW,INFO (10.2+)")
+  .option("--software-qualities <list>", "Comma list: MAINTAINABILITY,RELIABILITY,SECURITY (10.2+)")
+  .option(
+    "--clean-code-attribute-categories <list>",
+    "Comma list: ADAPTABLE,CONSISTENT,INTENTIONAL,RESPONSIBLE (10.2+)",
+  )
   .option("--json", "JSON output")
   .action(runIssuesSummary)
 
-program
+const issueCmd = program
   .command("issue")
-  .description("Show a single issue by key")
+  .description("Show a single issue by key, or change it (see subcommands)")
   .argument("<key>", "Issue key")
   .option("-t, --token <token>", "Auth token (or from config)")
   .option("-h, --host <url>", "Host URL (or from config)")
@@ -163,25 +340,107 @@ program
   .option("--json", "JSON output")
   .option("--url", "Print the SonarQube web URL for the issue")
   .option("--open", "Open the issue in the default browser (mac: open, linux: xdg-open)")
-  .action(runIssue)
+  .action((key, opts) => runIssue(opts, key))
 
-program
+// -t/-h/-c/--json are parsed by the parent `issue` command
+issueCmd
+  .command("transition")
+  .description("Apply a workflow transition")
+  .argument("<key>", "Issue key")
+  .argument("<transition>", ISSUE_TRANSITIONS.join(" | "))
+  .action((key, transition, _opts, cmd) => {
+    if (!ISSUE_TRANSITIONS.includes(transition)) {
+      console.error(chalk.red(`Unknown transition: ${transition} (expected ${ISSUE_TRANSITIONS.join(", ")})`))
+      process.exit(1)
+    }
+    return runIssueAction(cmd, `Transitioned ${key} (${transition})`, (cfg) =>
+      transitionIssue({ host: cfg.host, token: cfg.token, issueKey: key, transition }),
+    )
+  })
+
+issueCmd
+  .command("assign")
+  .description("Assign an issue (omit login to unassign)")
+  .argument("<key>", "Issue key")
+  .argument("[login]", "User login")
+  .action((key, login, _opts, cmd) =>
+    runIssueAction(cmd, login ? `Assigned ${key} to ${login}` : `Unassigned ${key}`, (cfg) =>
+      assignIssue({ host: cfg.host, token: cfg.token, issueKey: key, assignee: login }),
+    ),
+  )
+
+issueCmd
+  .command("comment")
+  .description("Add a comment")
+  .argument("<key>", "Issue key")
+  .argument("<text...>", "Comment text (markdown)")
+  .action((key, words, _opts, cmd) =>
+    runIssueAction(cmd, `Commented on ${key}`, (cfg) =>
+      addIssueComment({ host: cfg.host, token: cfg.token, issueKey: key, text: words.join(" ") }),
+    ),
+  )
+
+issueCmd
+  .command("tags")
+  .description("Replace the issue tags (no tags clears them)")
+  .argument("<key>", "Issue key")
+  .argument("[tags...]", "Tags (space or comma separated)")
+  .action((key, tags, _opts, cmd) => {
+    const list = tags.flatMap((t) => t.split(",")).filter(Boolean)
+    return runIssueAction(cmd, `Tagged ${key}: ${list.join(", ") || "(none)"}`, (cfg) =>
+      setIssueTags({ host: cfg.host, token: cfg.token, issueKey: key, tags: list }),
+    )
+  })
+
+issueCmd
+  .command("severity")
+  .description("Change the issue severity")
+  .argument("<key>", "Issue key")
+  .argument("<severity>", "BLOCKER | CRITICAL | MAJOR | MINOR | INFO")
+  .action((key, severity, _opts, cmd) => {
+    const sev = severity.toUpperCase()
+    if (!["BLOCKER", "CRITICAL", "MAJOR", "MINOR", "INFO"].includes(sev)) {
+      console.error(chalk.red(`Unknown severity: ${severity}`))
+      process.exit(1)
+    }
+    return runIssueAction(cmd, `Set ${key} severity to ${sev}`, (cfg) =>
+      setIssueSeverity({ host: cfg.host, token: cfg.token, issueKey: key, severity: sev }),
+    )
+  })
+
+const hotspotsCmd = program
   .command("hotspots")
   .description("List security hotspots")
   .option("-p, --project <projectKey>", "Project key (or from config)")
   .option("-b, --branch <branch>", "Branch name")
+  .option("--pull-request <id>", "Pull request id (instead of a branch)")
   .option("-t, --token <token>", "Auth token (or from config)")
   .option("-h, --host <url>", "Host URL (or from config)")
   .option("-c, --config <path>", "Config file path")
   .option("--status <status>", "Hotspot status (TO_REVIEW or REVIEWED)")
-  .option("--severity <severity>", "SEVERITY (LOW, MEDIUM, HIGH)")
+  .option("--severity <severity>", "Vulnerability probability (LOW, MEDIUM, HIGH)")
   .option("-l, --limit <n>", "Max hotspots (default 50)", parseInt)
+  .option("--all", "Fetch every matching hotspot (follows paging)")
   .option("--json", "JSON output")
+  .option("--format <format>", `Output format: ${HOTSPOT_FORMATS.join(" | ")}`)
+  .option("--src-root <dir>", "Repository directory of the project, prefixed to file paths (sarif)")
+  .option("-i, --interactive", "Full-screen interactive TUI (split list/detail/code)")
   .action(runHotspots)
 
-program
+// Filters (-p, -b, --status, --severity, --limit/--all, ...) are parsed by the parent `hotspots` command
+hotspotsCmd
+  .command("review")
+  .description("Review every hotspot matching the hotspots filters (default: all matches)")
+  .option("--resolution <resolution>", `Mark REVIEWED with ${HOTSPOT_RESOLUTIONS.join(" | ")}`)
+  .option("--to-review", "Reset to TO_REVIEW instead", false)
+  .option("--comment <text>", "Review comment")
+  .option("--dry-run", "Only list the hotspots that would change", false)
+  .option("-y, --yes", "Do not ask for confirmation", false)
+  .action(runHotspotsReview)
+
+const hotspotCmd = program
   .command("hotspot")
-  .description("Show a single hotspot by key")
+  .description("Show a single hotspot by key, or review it (see subcommands)")
   .argument("<key>", "Hotspot key")
   .option("-t, --token <token>", "Auth token (or from config)")
   .option("-h, --host <url>", "Host URL (or from config)")
@@ -189,7 +448,45 @@ program
   .option("--json", "JSON output")
   .option("--url", "Print the SonarQube web URL for the hotspot")
   .option("--open", "Open the hotspot in the default browser")
-  .action(runHotspot)
+  .action((key, opts) => runHotspot(opts, key))
+
+// -t/-h/-c/--json are parsed by the parent `hotspot` command
+hotspotCmd
+  .command("review")
+  .description("Change the review status of a hotspot")
+  .argument("<key>", "Hotspot key")
+  .option("--status <status>", "TO_REVIEW | REVIEWED (default REVIEWED when a resolution is given)")
+  .option("--resolution <resolution>", HOTSPOT_RESOLUTIONS.join(" | "))
+  .option("--comment <text>", "Review comment")
+  .action((key, opts, cmd) => {
+    const review = parseHotspotReview(opts.status, opts.resolution)
+    return runHotspotAction(cmd, key, `Reviewed ${key}: ${review.status}${review.resolution ? " / " + review.resolution : ""}`, (cfg) =>
+      changeHotspotStatus({ host: cfg.host, token: cfg.token, hotspotKey: key, ...review, comment: opts.comment }),
+    )
+  })
+
+hotspotCmd
+  .command("assign")
+  .description("Assign a hotspot (omit login to unassign)")
+  .argument("<key>", "Hotspot key")
+  .argument("[login]", "User login")
+  .option("--comment <text>", "Comment to add")
+  .action((key, login, opts, cmd) =>
+    runHotspotAction(cmd, key, login ? `Assigned ${key} to ${login}` : `Unassigned ${key}`, (cfg) =>
+      assignHotspot({ host: cfg.host, token: cfg.token, hotspotKey: key, assignee: login, comment: opts.comment }),
+    ),
+  )
+
+hotspotCmd
+  .command("comment")
+  .description("Add a comment")
+  .argument("<key>", "Hotspot key")
+  .argument("<text...>", "Comment text")
+  .action((key, words, _opts, cmd) =>
+    runHotspotAction(cmd, key, `Commented on ${key}`, (cfg) =>
+      addHotspotComment({ host: cfg.host, token: cfg.token, hotspotKey: key, comment: words.join(" ") }),
+    ),
+  )
 
 program
   .command("rules")
@@ -203,6 +500,7 @@ program
   .option("--repository <repo>", "Repository key")
   .option("--severities <list>", "Comma list severities (BLOCKER,CRITICAL,...)")
   .option("-l, --limit <n>", "Max rules (default 50)", parseInt)
+  .option("--all", "Fetch every matching rule (follows paging)")
   .option("--json", "JSON output")
   .action(runRules)
 
@@ -216,7 +514,7 @@ program
   .option("--json", "JSON output")
   .option("--url", "Print the SonarQube web URL for the rule")
   .option("--open", "Open the rule in the default browser")
-  .action(runRule)
+  .action((key, opts) => runRule(opts, key))
 
 program
   .command("measures")
@@ -224,6 +522,7 @@ program
   .requiredOption("-C, --component <key>", "Component key (project or file)")
   .option("-m, --metrics <list>", "Comma list metric keys", "coverage,bugs,vulnerabilities,code_smells")
   .option("-b, --branch <branch>", "Branch name")
+  .option("--pull-request <id>", "Pull request id (instead of a branch)")
   .option("-t, --token <token>", "Auth token")
   .option("-h, --host <url>", "Host URL")
   .option("--json", "JSON output")
@@ -236,6 +535,7 @@ program
   .requiredOption("-C, --component <key>", "Component key")
   .option("-m, --metrics <list>", "Comma list metric keys", "coverage,bugs,vulnerabilities,code_smells")
   .option("-b, --branch <branch>", "Branch name")
+  .option("--pull-request <id>", "Pull request id (instead of a branch)")
   .option("--from <date>", "From date (YYYY-MM-DD)")
   .option("--to <date>", "To date (YYYY-MM-DD)")
   .option("-t, --token <token>", "Auth token")
@@ -249,9 +549,12 @@ program
   .description("Browse component tree (files)")
   .requiredOption("-C, --component <key>", "Component key (project or module)")
   .option("-b, --branch <branch>", "Branch name")
+  .option("--pull-request <id>", "Pull request id (instead of a branch)")
   .option("-q, --qualifiers <codes>", "Qualifier codes (default FIL)")
   .option("-m, --metrics <list>", "Comma list metric keys")
   .option("--strategy <s>", "Tree strategy (leaves|children)", "leaves")
+  .option("-l, --limit <n>", "Max components (default 100)", parseInt)
+  .option("--all", "Fetch every component (follows paging)")
   .option("-t, --token <token>", "Auth token")
   .option("-h, --host <url>", "Host URL")
   .option("--json", "JSON output")
@@ -264,6 +567,7 @@ program
   .requiredOption("-f, --file <fileKey>", "File component key")
   .option("-p, --project <projectKey>", "Project key (optional, used for URL context)")
   .option("-b, --branch <branch>", "Branch name")
+  .option("--pull-request <id>", "Pull request id (instead of a branch)")
   .option("-t, --token <token>", "Auth token")
   .option("-h, --host <url>", "Host URL")
   .option("--json", "JSON output")
@@ -287,12 +591,122 @@ program
   .command("quality-gate")
   .description("Show quality gate project status (shortcut)")
   .option("-p, --project <projectKey>", "Project key")
+  .option("-b, --branch <branch>", "Branch name")
+  .option("--pull-request <id>", "Pull request id (instead of a branch)")
   .option("-t, --token <token>", "Auth token")
   .option("-h, --host <url>", "Host URL")
   .option("--json", "JSON output")
   .option("-c, --config <path>", "Config path")
   .action(runQualityGate)
 
+program
+  .command("pull-requests")
+  .alias("prs")
+  .description("List pull request analyses for a project")
+  .option("-p, --project <projectKey>", "Project key")
+  .option("-t, --token <token>", "Auth token")
+  .option("-h, --host <url>", "Host URL")
+  .option("--json", "JSON output")
+  .option("-c, --config <path>", "Config path")
+  .action(runPullRequests)
+
+// `gate check` exit statuses, distinct so CI scripts can tell them apart
+const GATE_EXIT = { passed: 0, failed: 1, taskFailed: 2, timeout: 3, error: 4 }
+
+const gateCmd = program
+  .command("gate")
+  .description("CI quality gate helpers")
+
+gateCmd
+  .command("check")
+  .description(
+    "Wait for the scanner's background task, then evaluate the quality gate of that analysis\n" +
+      "(exit 0 passed, 1 gate failed, 2 task failed/canceled, 3 timeout, 4 other error)",
+  )
+  .option("--task-id <id>", "Compute Engine task id (default: ceTaskId from the report file)")
+  .option("--report-file <path>", "Scanner report file", ".scannerwork/report-task.txt")
+  .option("--timeout <seconds>", "Max time to wait for the task", (v) => parseInt(v, 10), 300)
+  .option("--interval <seconds>", "Polling interval", (v) => parseInt(v, 10), 5)
+  .option("-t, --token <token>", "Auth token")
+  .option("-h, --host <url>", "Host URL (default: serverUrl from the report file)")
+  .option("--json", "JSON output")
+  .option("-c, --config <path>", "Config path")
+  .action(runGateCheck)
+
+program
+  .command("report")
+  .description("Project report (gate, metrics, trends, issues, hotspots, worst files) as Markdown or HTML")
+  .option("-p, --project <projectKey>", "Project key (or from config)")
+  .option("-b, --branch <branch>", "Branch name")
+  .option("--pull-request <id>", "Pull request id (instead of a branch)")
+  .option("--format <format>", "markdown | html", "markdown")
+  .option("-o, --output <file>", "Write to a file instead of stdout")
+  .option("--top <n>", "Issues, hotspots and files listed per section", (v) => parseInt(v, 10), 10)
+  .option("--from <date>", "Start of the trend sparklines (default: 90 days ago)")
+  .option("-t, --token <token>", "Auth token")
+  .option("-h, --host <url>", "Host URL")
+  .option("-c, --config <path>", "Config path")
+  .action(runReport)
+
+program
+  .command("dash")
+  .description("Full-screen project dashboard (gate, metrics, trends, issues, hotspots, worst files)")
+  .option("-p, --project <projectKey>", "Project key (or from config)")
+  .option("-b, --branch <branch>", "Branch name")
+  .option("--pull-request <id>", "Pull request id (instead of a branch)")
+  .option("--refresh <seconds>", "Reload every n seconds, 0 to disable (default 60, or dashRefresh in config)", (v) => parseInt(v, 10))
+  .option("--top <n>", "Hotspots and files listed", (v) => parseInt(v, 10), 10)
+  .option("--from <date>", "Start of the trend sparklines (default: 90 days ago)")
+  .option("-t, --token <token>", "Auth token")
+  .option("-h, --host <url>", "Host URL")
+  .option("-c, --config <path>", "Config path")
+  .action(runDash)
+
+program
+  .command("summary")
+  .description("Gate status, failed conditions, new code metrics and new issues (e.g. for a PR comment)")
+  .option("-p, --project <projectKey>", "Project key (or from config)")
+  .option("-b, --branch <branch>", "Branch name")
+  .option("--pull-request <id>", "Pull request id (instead of a branch)")
+  .option("--markdown", "Markdown for a pull / merge request comment")
+  .option("--top <n>", "New issues listed (default 5)", (v) => parseInt(v, 10), 5)
+  .option("-t, --token <token>", "Auth token")
+  .option("-h, --host <url>", "Host URL")
+  .option("--json", "JSON output")
+  .option("-c, --config <path>", "Config path")
+  .action(runSummary)
+
+program
+  .command("compare <base> <head>")
+  .description("Compare two branches: metric deltas and issues only on one side")
+  .option("-p, --project <projectKey>", "Project key (or from config)")
+  .option("-l, --limit <n>", "Max issues fetched per branch (default: all)", parseInt)
+  .option("-t, --token <token>", "Auth token")
+  .option("-h, --host <url>", "Host URL")
+  .option("--json", "JSON output")
+  .option("-c, --config <path>", "Config path")
+  .action((base, head, opts) => runCompare(opts, base, head))
+
+const policyCmd = program
+  .command("policy")
+  .description("Client-side policies on top of the server quality gate")
+
+policyCmd
+  .command("check")
+  .description(
+    "Evaluate the conditions of a policy file (JSON or YAML) against metrics and issue counts\n" +
+      "(exit 0 passed, 1 violated, 4 other error)",
+  )
+  .requiredOption("-f, --file <path>", "Policy file (.json, .yaml or .yml)")
+  .option("-p, --project <key>", "Project key (default: project from the policy file, then config)")
+  .option("-b, --branch <name>", "Branch name")
+  .option("--pull-request <id>", "Pull request id")
+  .option("-t, --token <token>", "Auth token")
+  .option("-h, --host <url>", "Host URL")
+  .option("--json", "JSON output")
+  .option("-c, --config <path>", "Config path")
+  .action(runPolicyCheck)
+
 program.parse(process.argv)
 
 function buildRuntimeConfig(opts) {
@@ -300,14 +714,70 @@ function buildRuntimeConfig(opts) {
   const envFiltered = Object.fromEntries(
     Object.entries(envConfig).filter(([_, v]) => v !== undefined && v !== ""),
   )
-  const merged = { ...configFromFile, ...envFiltered }
+  let context
+  try {
+    context = resolveContext(configFromFile, program.opts().context)
+  } catch (e) {
+    console.error(chalk.red(e.message))
+    process.exit(1)
+  }
+  // file base → active context → local checkout → env → CLI; `sources` records which layer won.
+  // The checkout only fills in a project or branch the file and context leave unset.
+  const sources = {}
+  const layer = (values, label) => {
+    for (const [k, v] of Object.entries(values)) if (v !== undefined) sources[k] = label
+    return values
+  }
+  const merged = {
+    ...layer(context.base, "config file"),
+    ...layer(context.values, `context ${context.name}`),
+  }
+  // `config set autoDetect=false` stores the string
+  const autoDetect = ![false, "false", "0"].includes(merged.autoDetect)
+  // Nothing to detect when a later layer (env, CLI) sets the value anyway
+  const projectGiven = merged.project !== undefined || envFiltered.project || opts.project
+  const branchGiven =
+    merged.branch !== undefined || merged.pullRequest !== undefined ||
+    envFiltered.branch || envFiltered.pullRequest || opts.branch || opts.pullRequest
+  if (autoDetect) {
+    const detected = !projectGiven && detectProjectKey()
+    if (detected) {
+      merged.project = detected.value
+      sources.project = path.relative(process.cwd(), detected.file) || detected.file
+    }
+    const branch = !branchGiven && detectGitBranch()
+    if (branch) {
+      merged.branch = branch
+      sources.branch = "git"
+    }
+  }
+  Object.assign(merged, layer(envFiltered, "env"))
+  if (context.name) merged.context = context.name
   // CLI precedence
-  if (opts.token) merged.token = opts.token
-  if (opts.project) merged.project = opts.project
-  if (opts.branch) merged.branch = opts.branch
-  if (opts.host) merged.host = opts.host
+  const cli = {}
+  if (opts.token) cli.token = opts.token
+  if (opts.project) cli.project = opts.project
+  if (opts.branch) cli.branch = opts.branch
+  if (opts.pullRequest) cli.pullRequest = opts.pullRequest
+  if (opts.host) cli.host = opts.host
+  Object.assign(merged, layer(cli, "cli"))
+  // A branch or PR given on the command line replaces whichever one the config selected
+  if (opts.branch && !opts.pullRequest) delete merged.pullRequest
   merged.json = opts.json
-  if (!merged.host) merged.host = "https://sonarqube.example.com"
+  if (!merged.host) {
+    merged.host = "https://sonarqube.example.com"
+    sources.host = "default"
+  }
+  Object.defineProperty(merged, "sources", { value: sources, enumerable: false })
+  configureHttp(merged)
+  const globalOpts = program.opts()
+  configureCache({
+    // Opt-in: --cache / --no-cache win over the config's `cache`
+    enabled: globalOpts.cache ?? merged.cache,
+    offline: globalOpts.offline,
+    ttl: merged.cacheTtl,
+    dir: merged.cacheDir,
+  })
   return merged
 }
 
@@ -330,10 +800,11 @@ async function runMetrics(opts) {
     process.exit(1)
   }
   try {
-    const result = await getProjectStatus(cfg)
+    await applyCapabilities(cfg)
+    const result = await getProjectStatus({ ...cfg, newCode: opts.newCode })
     let branchForDisplay = cfg.branch
-    if (!branchForDisplay) {
-      // Try to discover main branch for display only (do not re-fetch metrics with branch to avoid edition limitations)
+    if (!branchForDisplay && !cfg.pullRequest) {
+      // Try to discover main branch for display only (metrics were fetched without a branch, which works on every edition)
       try {
         const branches = await getBranches({
           token: cfg.token,
@@ -377,12 +848,17 @@ async function runIssuesSummary(opts) {
     process.exit(1)
   }
   try {
+    const caps = await applyCapabilities(cfg, { cleanCode: hasTaxonomyFilters(opts) })
     const summary = await fetchIssuesSummary({
       host: cfg.host,
       token: cfg.token,
       project: cfg.project,
       branch: cfg.branch,
+      pullRequest: cfg.pullRequest,
       facets: opts.facets,
+      ...taxonomyFilters(opts),
+      // Default facets only ask for the taxonomy on a server known to have it: older ones reject them
+      cleanCodeTaxonomy: caps.cleanCodeTaxonomy && (Boolean(caps.version) || caps.edition === "sonarcloud"),
     })
     if (opts.json) {
       console.log(JSON.stringify(summary, null, 2))
@@ -403,6 +879,48 @@ async function runIssuesSummary(opts) {
   }
 }
 
+// --changed: the component keys of the files touched since the merge-base with --base, plus the
+// changed line ranges per component with --lines. Exits on git errors.
+function resolveChangedScope(cfg, opts) {
+  try {
+    const root = gitRoot()
+    const base = opts.base || defaultBaseRef(root)
+    // Where the Sonar project sits in the repository: --src-root, else the directory of the
+    // detected project file when it names this project, else the repository root
+    let projectDir = opts.srcRoot || ""
+    if (!opts.srcRoot) {
+      const detected = detectProjectKey()
+      if (detected?.value === cfg.project) projectDir = path.relative(root, path.dirname(path.resolve(detected.file)))
+    }
+    const toKey = (file) => `${cfg.project}:${file}`
+    const files = toProjectPaths(changedFiles({ base, cwd: root }), projectDir)
+    console.error(chalk.gray(`${files.length} file(s) changed since ${base}`))
+    const scope = { base, components: files.map(toKey) }
+    if (opts.lines) {
+      scope.hunks = {}
+      for (const [file, ranges] of Object.entries(changedLines({ base, cwd: root }))) {
+        const [rel] = toProjectPaths([file], projectDir)
+        if (rel !== undefined) scope.hunks[toKey(rel)] = ranges
+      }
+    }
+    return scope
+  } catch (err) {
+    const msg = err.stderr ? String(err.stderr).trim() : err.message
+    console.error(chalk.red("❌ --changed needs a git checkout:"), msg)
+    process.exit(1)
+  }
+}
+
+// getIssues, or its per-file variant when `changed` (from resolveChangedScope) narrows the scope
+async function fetchIssueList({ changed, limit, ...args }) {
+  if (!changed) return getIssues({ ...args, limit })
+  // --lines filters after the fetch, so it needs every issue of the changed files
+  const data = await getIssuesInComponents({ ...args, components: changed.components, limit: changed.hunks ? Infinity : limit })
+  if (!changed.hunks) return data
+  const kept = filterIssuesToHunks(data.issues, changed.hunks)
+  return { ...data, paging: { ...data.paging, pageSize: Math.min(kept.length, limit), total: kept.length }, issues: kept.slice(0, limit) }
+}
+
 async function runIssues(opts) {
   const cfg = buildRuntimeConfig(opts)
   if (!cfg.token) {
@@ -415,20 +933,51 @@ async function runIssues(opts) {
     )
     process.exit(1)
   }
+  const format = resolveFormat(opts, ISSUE_FORMATS)
+  const changed = opts.changed ? resolveChangedScope(cfg, opts) : undefined
+  const query = {
+    severities: opts.severities,
+    types: opts.types,
+    statuses: opts.statuses,
+    ...taxonomyFilters(opts),
+  }
   try {
-    const issuesData = await getIssues({
+    const caps = await applyCapabilities(cfg, { cleanCode: hasTaxonomyFilters(opts) })
+    const issuesData = await fetchIssueList({
       token: cfg.token,
       host: cfg.host,
       project: cfg.project,
       branch: cfg.branch,
-      severities: opts.severities,
-      types: opts.types,
-      statuses: opts.statuses,
-      limit: opts.limit || 10,
+      pullRequest: cfg.pullRequest,
+      ...query,
+      changed,
+      limit: resolveLimit(opts, 10),
+      onProgress: progressReporter("issues"),
+      onSplit: ({ after, before, count }) =>
+        console.error(
+          chalk.gray(
+            `Splitting ${count} issues over ${after.toISOString()} → ${before.toISOString()}`,
+          ),
+        ),
     })
-    if (opts.json) console.log(JSON.stringify(issuesData, null, 2))
-    else if (opts.interactive)
-      await browseIssuesTui({ ...issuesData, token: cfg.token, host: cfg.host })
+    endProgress(issuesData)
+    if (format === "json") console.log(JSON.stringify(issuesData, null, 2))
+    else if (format === "sarif") await printSarif(cfg, caps, { issues: issuesData.issues, srcRoot: opts.srcRoot })
+    else if (format === "codeclimate")
+      console.log(JSON.stringify(buildCodeClimate({ projectKey: cfg.project, issues: issuesData.issues, srcRoot: opts.srcRoot }), null, 2))
+    else if (format === "junit") {
+      const gate = await fetchQualityGate({ host: cfg.host, token: cfg.token, project: cfg.project, branch: cfg.branch, pullRequest: cfg.pullRequest })
+      process.stdout.write(
+        buildJunit({
+          projectKey: cfg.project,
+          issues: issuesData.issues,
+          gate,
+          srcRoot: opts.srcRoot,
+          issueUrl: (issue) => buildIssueUrl(cfg.host, issue.key, cfg.project),
+        }),
+      )
+    } else if (opts.interactive)
+      await browseIssuesTui({ ...issuesData, token: cfg.token, host: cfg.host, query, changed })
     else printIssues(issuesData)
   } catch (err) {
     const msg = err && err.message ? err.message : String(err)
@@ -444,28 +993,157 @@ async function runIssues(opts) {
   }
 }
 
+// Adapts cfg to what the server can serve: an unsupported branch is dropped with a warning,
+// unsupported PR / hotspot requests throw UnsupportedError before any HTTP 400 happens.
+async function applyCapabilities(cfg, { hotspots, pullRequests, cleanCode } = {}) {
+  const caps = await getCapabilities(cfg)
+  if ((cfg.pullRequest || pullRequests) && !caps.pullRequests) requireCapability(caps, "pullRequests")
+  if (cfg.branch && cfg.sources?.branch === "git") await checkDetectedBranch(cfg, caps)
+  if (cfg.branch && !caps.branches) {
+    console.error(chalk.gray(`Branch analysis is not supported on ${describeServer(caps)}; ignoring branch "${cfg.branch}"`))
+    delete cfg.branch
+  }
+  if (hotspots) requireCapability(caps, "hotspotsApi")
+  if (cleanCode) requireCapability(caps, "cleanCodeTaxonomy")
+  return caps
+}
+
+// --json is shorthand for --format json; exits on an unknown format
+function resolveFormat(opts, formats) {
+  const format = (opts.format || (opts.json ? "json" : "plain")).toLowerCase()
+  if (!formats.includes(format)) {
+    console.error(chalk.red(`Unknown format "${opts.format}" (use ${formats.join(", ")})`))
+    process.exit(1)
+  }
+  return format
+}
+
+async function printSarif(cfg, caps, { issues = [], hotspots = [], srcRoot }) {
+  const rules = await fetchRulesFor({
+    host: cfg.host,
+    token: cfg.token,
+    keys: [...issues.map((i) => i.rule), ...hotspots.map((h) => h.ruleKey)],
+  })
+  const log = buildSarifLog({
+    projectKey: cfg.project,
+    issues,
+    hotspots,
+    rules,
+    ruleUrl: (key) => buildRuleUrl(cfg.host, key, cfg.organization),
+    srcRoot,
+    toolName: caps.edition === "sonarcloud" ? "SonarCloud" : "SonarQube",
+    toolVersion: caps.version,
+  })
+  console.log(JSON.stringify(log, null, 2))
+}
+
+// A branch taken from the checkout is only a guess: drop it quietly when the server has no
+// branches, and fall back to the main branch when this one was never analyzed.
+async function checkDetectedBranch(cfg, caps) {
+  if (!caps.branches || cfg.pullRequest || !cfg.project) {
+    delete cfg.branch
+    return
+  }
+  try {
+    const branches = await getBranches({ host: cfg.host, token: cfg.token, project: cfg.project })
+    if (branches.length && !branches.some((b) => b.name === cfg.branch)) {
+      console.error(chalk.gray(`Branch "${cfg.branch}" has not been analyzed; using the main branch`))
+      delete cfg.branch
+    }
+  } catch {
+    // keep the branch and let the real request report the problem
+  }
+}
+
+// Clean Code taxonomy filters shared by issues / issues:summary / bulk-change
+function taxonomyFilters(opts) {
+  return {
+    impactSeverities: opts.impactSeverities,
+    softwareQualities: opts.softwareQualities,
+    cleanCodeAttributeCategories: opts.cleanCodeAttributeCategories,
+  }
+}
+
+function hasTaxonomyFilters(opts) {
+  return Object.values(taxonomyFilters(opts)).some(Boolean)
+}
+
+function parseKeyValuePairs(pairs) {
+  const updates = {}
+  for (const pair of pairs) {
+    const idx = pair.indexOf("=")
+    if (idx === -1) {
+      console.error(chalk.red(`Invalid format (expected key=value): ${pair}`))
+      process.exit(1)
+    }
+    updates[pair.slice(0, idx)] = pair.slice(idx + 1)
+  }
+  return updates
+}
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`
+  return `${(n / 1024 / 1024).toFixed(1)} MB`
+}
+
+function resolveLimit(opts, fallback) {
+  return opts.all ? Infinity : opts.limit || fallback
+}
+
+// Pagination progress on stderr (TTY only) so stdout stays clean for --json; endProgress clears it
+let progressShown = false
+function progressReporter(label) {
+  if (!process.stderr.isTTY) return undefined
+  return ({ fetched, total }) => {
+    if (!progressShown && fetched >= total) return
+    progressShown = true
+    process.stderr.write(`\r${chalk.gray(`Fetching ${label}: ${fetched}/${total}`)}\x1b[K`)
+  }
+}
+
+function endProgress(data) {
+  if (progressShown) {
+    process.stderr.write("\r\x1b[K")
+    progressShown = false
+  }
+  if (data?.truncated) {
+    console.error(
+      chalk.yellow(
+        `Result capped by SonarQube's ${SEARCH_WINDOW} search limit (total ${data.paging?.total}); narrow the filters to see the rest.`,
+      ),
+    )
+  }
+}
+
 function truncate(str, n) {
   return str.length > n ? str.slice(0, n - 1) + "…" : str
 }
 
-async function browseIssuesTui({ projectKey, branch, issues, token, host }) {
-  // Workaround: blessed 0.1.81 cannot parse modern terminfo Setulc (underline color) capability
-  // observed on some systems (xterm-256color) -> prints noisy error. Downgrade TERM temporarily.
-  const __origTERM = process.env.TERM
-  let __termDowngraded = false
-  if (__origTERM && /xterm-256color/i.test(__origTERM)) {
+// Workaround: blessed 0.1.81 cannot parse modern terminfo Setulc (underline color) capability
+// observed on some systems (xterm-256color) -> prints noisy error. Downgrade TERM temporarily;
+// returns the function restoring it.
+function downgradeTermForBlessed() {
+  const origTERM = process.env.TERM
+  let downgraded = false
+  if (origTERM && /xterm-256color/i.test(origTERM)) {
     try {
       process.env.TERM = "xterm"
-      __termDowngraded = true
+      downgraded = true
     } catch {}
   }
-  function __restoreTERM() {
-    if (__termDowngraded) {
+  return () => {
+    if (downgraded) {
       try {
-        process.env.TERM = __origTERM
+        process.env.TERM = origTERM
       } catch {}
     }
   }
+}
+
+// `onExit`: called instead of exiting when q closes the TUI (the dashboard reopens itself)
+async function browseIssuesTui({ projectKey, branch, pullRequest, paging, issues, token, host, query = {}, changed, onExit }) {
+  const restoreTerm = downgradeTermForBlessed()
   if (!issues.length) {
     console.log(chalk.green("No issues."))
     return
@@ -477,14 +1155,61 @@ async function browseIssuesTui({ projectKey, branch, issues, token, host }) {
     title: `Issues - ${projectKey}`,
   })
 
+  function scopeTag() {
+    if (pullRequest) return ` [PR #${pullRequest}]`
+    return branch ? ` [${branch}]` : ""
+  }
+
   const help =
-    "q:quit  ↑/↓:navigate  enter:view  r:refresh code  b:branches  h:help"
+    "q:quit  ↑/↓:navigate  enter:view  space:mark  t:triage  /:search  n/N:next/prev match  s:server search  f:filters  r:refresh code  b:branches/PRs  h:help"
+  const PAGE_SIZE = 100
+
+  // More issues are fetched as the selection reaches the last loaded one, up to the server's
+  // total (or the 10k search window, which pages can't go past)
+  let total = paging?.total ?? issues.length
+  let exhausted = issues.length >= total
+  let loading = false
+  // `/` marks and jumps between loaded issues; `s` re-queries the server (see textSearchFilters)
+  let searchTerm = ""
+  let serverSearch
+  // `f` panel: the checked values per facet, starting from the command's own filters
+  const FILTER_FACETS = { severities: "Severities", types: "Types", statuses: "Statuses", rules: "Rules", tags: "Tags", assignees: "Assignees" }
+  const checked = Object.fromEntries(Object.keys(FILTER_FACETS).map((f) => [f, new Set(query[f] ? query[f].split(",") : [])]))
+
+  function panelFilters() {
+    return Object.fromEntries(Object.entries(checked).map(([f, values]) => [f, values.size ? [...values].join(",") : undefined]))
+  }
+
+  function filterSummary() {
+    return Object.entries(checked)
+      .filter(([, values]) => values.size)
+      .map(([f, values]) => `${f}=${[...values].join(",")}`)
+      .join(" ")
+  }
+
+  function listLabel() {
+    const found = serverSearch ? ` {yellow-fg}${serverSearch.kind}: ${escapeTag(serverSearch.text)}{/yellow-fg}` : ""
+    return ` {bold}Issues (${issues.length} of ${total})${scopeTag()}{/bold}${found} `
+  }
+
+  function matchesSearch(issue) {
+    return [issue.message, issue.rule, issue.component, issue.key].some((v) => v?.toLowerCase().includes(searchTerm))
+  }
+
+  // Issues marked with space for bulk triage (keys)
+  let marked = new Set()
+
+  function listItem(issue) {
+    let prefix = ""
+    if (marked.size) prefix += marked.has(issue.key) ? "{cyan-fg}●{/cyan-fg}" : " "
+    if (searchTerm) prefix += matchesSearch(issue) ? "{yellow-fg}›{/yellow-fg}" : " "
+    const resolution = issue.resolution ? ` {gray-fg}[${issue.resolution}]{/gray-fg}` : ""
+    return prefix + formatListItem(issue) + resolution
+  }
 
   const list = blessed.list({
     parent: screen,
-    label: ` {bold}Issues (${issues.length})${
-      branch ? ` [${branch}]` : ""
-    }{/bold} `,
+    label: listLabel(),
     tags: true,
     keys: true,
     vi: true,
@@ -537,19 +1262,22 @@ async function browseIssuesTui({ projectKey, branch, issues, token, host }) {
     width: "100%",
     tags: true,
     style: { bg: "gray" },
-    content: help,
   })
 
-  list.setItems(
-    issues.map(
-      (i) =>
-        `${severityColor(i.severity)} ${i.type.padEnd(11)} ${truncate(
-          i.message || "(no message)",
-          50,
-        )}`,
-    ),
-  )
+  // Active panel filters first, so they stay visible however long the message gets
+  function setStatus(message) {
+    const active = filterSummary()
+    const marks = marked.size ? `{cyan-fg}${marked.size} marked{/cyan-fg}` : ""
+    status.setContent([active && `{yellow-fg}${escapeTag(active)}{/yellow-fg}`, marks, help, message].filter(Boolean).join("  "))
+  }
+  setStatus()
+
+  function showIssues() {
+    list.setItems(issues.map(listItem))
+    list.setLabel(listLabel())
+  }
 
+  showIssues()
   list.select(0)
 
   let renderSeq = 0
@@ -563,8 +1291,8 @@ async function browseIssuesTui({ projectKey, branch, issues, token, host }) {
     // Fancy formatting: severity/type/status first row, path & lines next, flow, then highlighted message at bottom
     const sevTag = `{bold}${severityColor(issue.severity)}{/bold}`
     const typeTag = `{magenta-fg}${issue.type}{/magenta-fg}`
-    const statusTag = statusColor(issue.status || "")
-    const branchTag = branch ? `{gray-fg}[${branch}]{/gray-fg}` : ""
+    const statusTag = statusColor(issue.status || "") + (issue.resolution ? ` {gray-fg}${issue.resolution}{/gray-fg}` : "")
+    const branchTag = scopeTag() ? `{gray-fg}${scopeTag().trim()}{/gray-fg}` : ""
     const keyTag = `{cyan-fg}${issue.key}{/cyan-fg}`
     const locPath = issue.component
       ? `{blue-fg}${issue.component}{/blue-fg}${issue.line ? ":" + issue.line : ""}`
@@ -594,6 +1322,22 @@ async function browseIssuesTui({ projectKey, branch, issues, token, host }) {
     let body = metaLine
     if (locPath) body += `\n${locPath}`
     if (linesRange) body += `\n${linesRange}`
+    if (issue.assignee || issue.tags?.length) {
+      const assignee = issue.assignee ? `Assignee: {cyan-fg}${escapeTag(issue.assignee)}{/cyan-fg}  ` : ""
+      const tags = issue.tags?.length ? `Tags: ${escapeTag(issue.tags.join(", "))}` : ""
+      body += `\n${assignee}${tags}`
+    }
+    if (issue.impacts?.length) {
+      const impacts = issue.impacts
+        .map((imp) => `${imp.softwareQuality.toLowerCase()} ${impactColor(imp.severity)}`)
+        .join("  ")
+      const attr = issue.cleanCodeAttributeCategory
+        ? `  {gray-fg}${issue.cleanCodeAttributeCategory.toLowerCase()}${
+            issue.cleanCodeAttribute ? "/" + issue.cleanCodeAttribute.toLowerCase() : ""
+          }{/gray-fg}`
+        : ""
+      body += `\nImpacts: ${impacts}${attr}`
+    }
     if (flow) body += `\n${flow}`
     body += `\n${ruleLine}\n${messageLine}`
     detail.setContent(body)
@@ -614,30 +1358,478 @@ async function browseIssuesTui({ projectKey, branch, issues, token, host }) {
     await render(idx)
   })
 
+  // Query of the current view: the command's filters, then the server search on top. A file
+  // search inside --changed narrows the changed files instead of replacing them.
+  function viewQuery() {
+    return { token, host, project: projectKey, branch, pullRequest, ...query, ...panelFilters(), ...serverSearch?.filters }
+  }
+
+  function viewChanged() {
+    const componentKey = serverSearch?.filters.componentKeys
+    if (!changed || !componentKey) return changed
+    return { ...changed, components: changed.components.filter((k) => k === componentKey || k.startsWith(`${componentKey}/`)) }
+  }
+
+  // Appends the next page; false when nothing more could be loaded
+  async function loadMore() {
+    if (loading || exhausted) return false
+    loading = true
+    setStatus("loading more issues...")
+    screen.render()
+    try {
+      let more
+      if (changed) {
+        // --changed spreads the query over several requests, so fetch again with a higher limit
+        const data = await fetchIssueList({ ...viewQuery(), changed: viewChanged(), limit: issues.length + PAGE_SIZE })
+        more = data.issues.slice(issues.length)
+        total = data.paging.total
+      } else {
+        const page = Math.floor(issues.length / PAGE_SIZE) + 1
+        const data = await getIssuesPage({ ...viewQuery(), page, pageSize: PAGE_SIZE })
+        more = data.issues.slice(issues.length - (page - 1) * PAGE_SIZE)
+        total = data.paging.total
+      }
+      issues = issues.concat(more)
+      exhausted = !more.length || issues.length >= total || (!changed && issues.length >= SEARCH_WINDOW)
+      const selected = list.selected
+      showIssues()
+      list.select(selected)
+      setStatus()
+      return more.length > 0
+    } catch (e) {
+      setStatus(`loading more failed: ${escapeTag(e.message)}`)
+      return false
+    } finally {
+      loading = false
+      screen.render()
+    }
+  }
+
+  // Replaces the list with the first page of the current view (branch switch, server search)
+  async function reload() {
+    setStatus("loading issues...")
+    screen.render()
+    const data = await fetchIssueList({ ...viewQuery(), changed: viewChanged(), limit: PAGE_SIZE })
+    issues = data.issues
+    total = data.paging.total
+    exhausted = issues.length >= total
+    marked = new Set()
+    showIssues()
+    list.select(0)
+    lastRendered = -1
+    if (issues.length) await render(0)
+    else {
+      detail.setContent("{gray-fg}No issues match{/gray-fg}")
+      code.setContent("")
+    }
+    setStatus()
+    screen.render()
+  }
+
+  const NAV_KEYS = ["up", "down", "k", "j", "pageup", "pagedown", "home", "end", "g"]
+
   // Update on navigation (arrow keys / vi keys)
   list.on("keypress", async (_ch, key) => {
-    if (["up", "down", "k", "j"].includes(key.name)) {
+    if (NAV_KEYS.includes(key.name)) {
       // blessed updates list.selected before keypress event completes
       await render(list.selected)
+      if (list.selected >= issues.length - 1 && (await loadMore())) screen.render()
     }
   })
 
-  screen.key(["q", "C-c"], () => {
+  function ask(label, value = "") {
+    return new Promise((resolve) => {
+      const prompt = blessed.prompt({
+        parent: screen,
+        label: ` {bold}${label}{/bold} `,
+        tags: true,
+        border: { type: "line" },
+        width: "60%",
+        height: "shrink",
+        top: "center",
+        left: "center",
+        keys: true,
+        vi: true,
+      })
+      prompt.input("", value, (err, answer) => {
+        prompt.destroy()
+        list.focus()
+        screen.render()
+        resolve(err ? null : answer)
+      })
+    })
+  }
+
+  // Next (step 1) or previous (-1) match of the `/` search, loading further pages when the loaded
+  // issues have none left ahead, then wrapping around like vi
+  async function jumpToMatch(step) {
+    if (!searchTerm) return
+    let idx = -1
+    for (let i = list.selected + step; idx === -1; i += step) {
+      if (i >= 0 && i < issues.length) {
+        if (matchesSearch(issues[i])) idx = i
+        continue
+      }
+      if (step < 0 || !(await loadMore())) break
+      i -= step
+    }
+    if (idx === -1) idx = step > 0 ? issues.findIndex(matchesSearch) : issues.findLastIndex(matchesSearch)
+    if (idx === -1) {
+      setStatus(`no match for "${escapeTag(searchTerm)}"`)
+      screen.render()
+      return
+    }
+    await showMatch(idx)
+  }
+
+  async function showMatch(idx) {
+    list.select(idx)
+    await render(idx)
+    const count = issues.filter(matchesSearch).length
+    setStatus(`/${escapeTag(searchTerm)}: ${count} match(es) in ${issues.length} loaded`)
+    screen.render()
+  }
+
+  // Screen-level keys stay bound while a menu, picker or the filter panel has the focus; they
+  // only act from the panes, so typing in those widgets doesn't search, reload or quit underneath
+  const overlayOpen = () => ![list, detail, code].includes(screen.focused)
+
+  screen.key(["q", "C-c"], (_ch, key) => {
+    if (key.full === "q" && overlayOpen()) return
     screen.destroy()
-    __restoreTERM()
+    restoreTerm()
+    if (onExit && key.full === "q") return onExit()
     process.exit(0)
   })
   // Rely on list's own key handling for movement; enter triggers 'select'
+  screen.key(["/"], async () => {
+    if (overlayOpen()) return
+    const answer = await ask("Search message, rule, file or key (empty clears)", searchTerm)
+    if (answer === null) return
+    searchTerm = answer.trim().toLowerCase()
+    showIssues()
+    if (!searchTerm) setStatus()
+    else if (issues[list.selected] && matchesSearch(issues[list.selected])) await showMatch(list.selected)
+    else await jumpToMatch(1)
+    screen.render()
+  })
+  screen.key(["n"], () => !overlayOpen() && jumpToMatch(1))
+  screen.key(["S-n"], () => !overlayOpen() && jumpToMatch(-1))
+  screen.key(["s"], async () => {
+    if (overlayOpen()) return
+    const answer = await ask("Server search: file, rule, issue key or tag (empty clears)", serverSearch?.text)
+    if (answer === null) return
+    serverSearch = answer.trim() ? { text: answer.trim(), ...textSearchFilters(answer, projectKey) } : undefined
+    try {
+      await reload()
+    } catch (e) {
+      setStatus(`search failed: ${escapeTag(e.message)}`)
+      screen.render()
+    }
+  })
+  list.key(["space"], () => {
+    const issue = issues[list.selected]
+    if (!issue) return
+    if (marked.has(issue.key)) marked.delete(issue.key)
+    else marked.add(issue.key)
+    const selected = list.selected
+    showIssues()
+    list.select(Math.min(selected + 1, issues.length - 1))
+    setStatus()
+    screen.render()
+  })
+  list.key(["escape"], () => {
+    if (!marked.size) return
+    marked = new Set()
+    showIssues()
+    setStatus()
+    screen.render()
+  })
+
+  function confirmDialog(text) {
+    return new Promise((resolve) => {
+      const question = blessed.question({
+        parent: screen,
+        label: " {bold}Confirm{/bold} ",
+        tags: true,
+        border: { type: "line" },
+        width: "50%",
+        height: "shrink",
+        top: "center",
+        left: "center",
+        keys: true,
+        vi: true,
+      })
+      question.ask(text, (err, ok) => {
+        question.destroy()
+        list.focus()
+        screen.render()
+        resolve(!err && !!ok)
+      })
+    })
+  }
+
+  // Index of the chosen item, -1 on escape
+  function choose(label, items) {
+    return new Promise((resolve) => {
+      const menu = blessed.list({
+        parent: screen,
+        label: ` {bold}${label}{/bold} `,
+        tags: true,
+        keys: true,
+        vi: true,
+        mouse: true,
+        items,
+        width: "40%",
+        height: Math.min(items.length + 2, 20),
+        top: "center",
+        left: "center",
+        border: { type: "line" },
+        style: { selected: { bg: "blue" } },
+      })
+      const done = (idx) => {
+        menu.destroy()
+        list.focus()
+        screen.render()
+        resolve(idx)
+      }
+      menu.on("select", (_item, idx) => done(idx))
+      menu.key(["escape"], () => done(-1))
+      menu.focus()
+      screen.render()
+    })
+  }
+
+  let currentLogin
+  // Login to assign to: a user picked from the server's user search, the typed text when the
+  // search finds nobody (or isn't allowed), "" to unassign, null when cancelled
+  async function pickAssignee() {
+    const text = await ask("Assign to: login or name (empty unassigns)")
+    if (text === null) return null
+    if (!text.trim()) return ""
+    const users = await searchUsers({ host, token, query: text.trim() }).catch(() => [])
+    if (!users.length) return text.trim()
+    if (users.length === 1) return users[0].login
+    const idx = await choose("Assign to", users.map((u) => `${escapeTag(u.name || u.login)} {gray-fg}(${escapeTag(u.login)}){/gray-fg}`))
+    return idx === -1 ? null : users[idx].login
+  }
+
+  const TRIAGE_ACTIONS = [
+    { label: "Confirm", transition: "confirm" },
+    { label: "False positive", transition: "falsepositive" },
+    { label: "Won't fix", transition: "wontfix" },
+    { label: "Assign to me", assign: "me" },
+    { label: "Assign to…", assign: "pick" },
+    { label: "Comment…", comment: true },
+    { label: "Edit tags…", tags: true },
+  ]
+
+  // Asks for what the action needs; undefined when cancelled
+  async function triageChange(action, targets) {
+    const what = targets.length === 1 ? targets[0].key : `${targets.length} issues`
+    if (action.transition) return (await confirmDialog(`${action.label}: ${what}?`)) ? { transition: action.transition } : undefined
+    if (action.assign === "me") {
+      currentLogin = currentLogin || (await fetchCurrentUser({ host, token })).login
+      return { assign: currentLogin }
+    }
+    if (action.assign) {
+      const login = await pickAssignee()
+      return login === null ? undefined : { assign: login }
+    }
+    if (action.comment) {
+      const text = await ask(`Comment on ${what}`)
+      return text?.trim() ? { comment: text.trim() } : undefined
+    }
+    // One issue: edit its tag list; several: "tag" adds, "-tag" removes
+    if (targets.length === 1) {
+      const text = await ask(`Tags of ${what} (comma separated)`, (targets[0].tags || []).join(","))
+      return text === null ? undefined : { tags: text.split(",").map((t) => t.trim()).filter(Boolean) }
+    }
+    const text = await ask(`Tags for ${what}: tag adds, -tag removes`)
+    if (!text?.trim()) return undefined
+    const words = text.split(",").map((t) => t.trim()).filter(Boolean)
+    const addTags = words.filter((t) => !t.startsWith("-")).join(",")
+    const removeTags = words.filter((t) => t.startsWith("-")).map((t) => t.slice(1)).join(",")
+    return { addTags: addTags || undefined, removeTags: removeTags || undefined }
+  }
+
+  function applyToIssue(issueKey, change) {
+    const scope = { host, token, issueKey }
+    if (change.transition) return transitionIssue({ ...scope, transition: change.transition })
+    if (change.assign !== undefined) return assignIssue({ ...scope, assignee: change.assign || undefined })
+    if (change.comment) return addIssueComment({ ...scope, text: change.comment })
+    return setIssueTags({ ...scope, tags: change.tags })
+  }
+
+  // Current state of the given issues, whatever the view's filters
+  async function refetchIssues(keys) {
+    const found = []
+    for (let i = 0; i < keys.length; i += PAGE_SIZE) {
+      const page = await getIssuesPage({ token, host, project: projectKey, branch, pullRequest, issueKeys: keys.slice(i, i + PAGE_SIZE).join(","), pageSize: PAGE_SIZE })
+      found.push(...page.issues)
+    }
+    return found
+  }
+
+  // Rows are updated in place, even when the change takes them out of the view's filters
+  async function replaceIssues(updated) {
+    const byKey = new Map(updated.map((i) => [i.key, i]))
+    issues = issues.map((i) => (byKey.has(i.key) ? { ...i, ...byKey.get(i.key) } : i))
+    const selected = list.selected
+    showIssues()
+    list.select(selected)
+    lastRendered = -1
+    await render(selected)
+  }
+
+  // Marked issues when there are any (bulk_change), else the selected one
+  async function triage(action) {
+    const targets = marked.size ? issues.filter((i) => marked.has(i.key)) : issues.slice(list.selected, list.selected + 1)
+    if (!targets.length) return
+    try {
+      const change = await triageChange(action, targets)
+      if (!change) return
+      setStatus(`${action.label}...`)
+      screen.render()
+      const keys = targets.map((i) => i.key)
+      if (targets.length === 1) {
+        const updated = await applyToIssue(keys[0], change)
+        await replaceIssues(updated ? [updated] : await refetchIssues(keys))
+        setStatus(`${action.label}: ${keys[0]} done`)
+      } else {
+        const result = change.comment
+          ? await commentIssues({ host, token, issueKeys: keys, text: change.comment })
+          : await bulkChangeIssues({ host, token, issueKeys: keys, ...change })
+        marked = new Set()
+        await replaceIssues(await refetchIssues(keys))
+        setStatus(`${action.label}: ${result.success} changed, ${result.ignored} ignored, ${result.failures} failed`)
+      }
+    } catch (e) {
+      setStatus(`${action.label} failed: ${escapeTag(e.message)}`)
+    }
+    screen.render()
+  }
+
+  list.key(["t"], async () => {
+    const idx = await choose(marked.size ? `Triage ${marked.size} marked` : "Triage", TRIAGE_ACTIONS.map((a) => a.label))
+    if (idx !== -1) await triage(TRIAGE_ACTIONS[idx])
+  })
+
+  let filterPanel
+  screen.key(["f"], async () => {
+    if (filterPanel) return closeFilterPanel()
+    if (overlayOpen()) return
+    const panel = blessed.list({
+      parent: screen,
+      label: " {bold}Filters{/bold} {gray-fg}space/enter:toggle  c:clear  f/esc:close{/gray-fg} ",
+      tags: true,
+      keys: true,
+      vi: true,
+      mouse: true,
+      width: "50%",
+      height: "80%",
+      top: "center",
+      left: "center",
+      border: { type: "line" },
+      style: { selected: { bg: "blue" }, scrollbar: { bg: "white" } },
+      scrollbar: { ch: " " },
+    })
+    filterPanel = panel
+    let entries = []
+
+    // Facet counts for the current view; SonarQube leaves a facet's own filter out of its counts
+    async function refresh() {
+      const selected = panel.selected
+      const scope = viewChanged()
+      // Counts over --changed files when they fit one request, else over the whole project
+      const component = scope ? (scope.components.length <= 50 ? scope.components.join(",") : undefined) : viewQuery().componentKeys
+      try {
+        const summary = await fetchIssuesSummary({ ...viewQuery(), component, facets: Object.keys(FILTER_FACETS).join(",") })
+        entries = []
+        for (const [facet, title] of Object.entries(FILTER_FACETS)) {
+          const counts = summary.facets[facet] || {}
+          entries.push({ title })
+          // Checked values stay listed (count 0) so they can be unchecked
+          for (const value of new Set([...checked[facet], ...Object.keys(counts).filter(Boolean)]))
+            entries.push({ facet, value, count: counts[value] ?? 0 })
+        }
+        panel.setItems(
+          entries.map((e) =>
+            e.title
+              ? `{bold}${e.title}{/bold}`
+              : `  ${checked[e.facet].has(e.value) ? "{green-fg}[x]{/green-fg}" : "[ ]"} ${escapeTag(e.value)} {gray-fg}(${e.count}){/gray-fg}`,
+          ),
+        )
+        panel.select(Math.min(selected, entries.length - 1))
+      } catch (e) {
+        panel.setItems([`{red-fg}facets failed: ${escapeTag(e.message)}{/red-fg}`])
+      }
+      screen.render()
+    }
+
+    async function apply() {
+      try {
+        await reload()
+      } catch (e) {
+        setStatus(`reload failed: ${escapeTag(e.message)}`)
+      }
+      await refresh()
+    }
+
+    async function toggle() {
+      const entry = entries[panel.selected]
+      if (!entry?.facet) return
+      const values = checked[entry.facet]
+      if (values.has(entry.value)) values.delete(entry.value)
+      else values.add(entry.value)
+      await apply()
+    }
+
+    panel.on("select", toggle)
+    panel.key(["space"], toggle)
+    panel.key(["c"], async () => {
+      for (const values of Object.values(checked)) values.clear()
+      await apply()
+    })
+    panel.key(["escape"], closeFilterPanel)
+    panel.setItems(["{gray-fg}loading facets...{/gray-fg}"])
+    panel.focus()
+    screen.render()
+    await refresh()
+  })
+
+  function closeFilterPanel() {
+    filterPanel.destroy()
+    filterPanel = undefined
+    list.focus()
+    screen.render()
+  }
+
   screen.key(["r"], async () => {
-    status.setContent(help + "  refreshing code...")
+    if (overlayOpen()) return
+    setStatus("refreshing code...")
     await render(list.selected)
   })
   screen.key(["b"], async () => {
-    status.setContent(help + "  loading branches...")
+    if (overlayOpen()) return
+    setStatus("loading branches & pull requests...")
     screen.render()
-    const branches = await getBranches({ token, host, project: projectKey })
-    if (!branches.length) {
-      status.setContent(help + "  no branches")
+    const [branches, pullRequests] = await Promise.all([
+      getBranches({ token, host, project: projectKey }),
+      getPullRequests({ token, host, project: projectKey }),
+    ])
+    const targets = [
+      ...branches.map((b) => ({
+        label: b.name + (b.isMain ? " *" : ""),
+        branch: b.name,
+      })),
+      ...pullRequests.map((pr) => ({
+        label: `{cyan-fg}PR #${pr.key}{/cyan-fg} ${escapeTag(pr.title || pr.branch || "")}`,
+        pullRequest: pr.key,
+      })),
+    ]
+    if (!targets.length) {
+      setStatus("no branches")
       screen.render()
       return
     }
@@ -645,8 +1837,8 @@ async function browseIssuesTui({ projectKey, branch, issues, token, host }) {
     const blessed = blessedMod.default || blessedMod
     const box = blessed.list({
       parent: screen,
-      label: " {bold}Branches{/bold} ",
-      width: "30%",
+      label: " {bold}Branches / Pull Requests{/bold} ",
+      width: "40%",
       height: "50%",
       left: "center",
       top: "center",
@@ -654,56 +1846,41 @@ async function browseIssuesTui({ projectKey, branch, issues, token, host }) {
       keys: true,
       vi: true,
       mouse: true,
-      items: branches.map((b) => b.name + (b.isMain ? " *" : "")),
+      items: targets.map((t) => t.label),
       style: { selected: { bg: "blue" } },
       tags: true,
     })
     box.focus()
     screen.render()
     box.on("select", async (item, idx) => {
-      const chosen = branches[idx].name
-      // Refetch issues for chosen branch
+      const chosen = targets[idx]
+      // Refetch issues for chosen branch / pull request
+      const previous = { branch, pullRequest }
+      box.destroy()
       try {
-        const refreshed = await getIssues({
-          token,
-          host,
-          project: projectKey,
-          branch: chosen,
-          limit: issues.length,
-        })
-        issues = refreshed.issues
-        list.setItems(
-          issues.map(
-            (i) =>
-              `${severityColor(i.severity)} ${i.type.padEnd(11)} ${truncate(
-                i.message || "(no message)",
-                50,
-              )}`,
-          ),
-        )
-        list.select(0)
-        // Update label with new branch
-        list.setLabel(` {bold}Issues (${issues.length}) [${chosen}]{/bold} `)
-        await render(0)
+        branch = chosen.branch
+        pullRequest = chosen.pullRequest
+        await reload()
       } catch (e) {
-        status.setContent(help + "  branch load failed")
+        branch = previous.branch
+        pullRequest = previous.pullRequest
+        setStatus("branch load failed")
       }
-      box.destroy()
-      status.setContent(help)
       list.focus()
       screen.render()
     })
     screen.key(["escape"], () => {
       if (!box.destroyed) {
         box.destroy()
-        status.setContent(help)
+        setStatus()
         list.focus()
         screen.render()
       }
     })
   })
   screen.key(["?", "h"], () => {
-    status.setContent(help)
+    if (overlayOpen()) return
+    setStatus()
     screen.render()
   })
 
@@ -711,9 +1888,470 @@ async function browseIssuesTui({ projectKey, branch, issues, token, host }) {
   list.focus()
   screen.render()
   // Ensure TERM restored on normal exit
-  screen.on("destroy", () => __restoreTERM())
+  screen.on("destroy", () => restoreTerm())
  }
 
+// Rule sections of a hotspot: hotspots/show still carries them on older servers, newer ones
+// moved them into the rule's description sections
+async function hotspotRuleSections({ token, host, detail }) {
+  const rule = detail?.rule || {}
+  if (rule.riskDescription || rule.vulnerabilityDescription || rule.fixRecommendations)
+    return { risk: rule.riskDescription, assess: rule.vulnerabilityDescription, fix: rule.fixRecommendations }
+  if (!rule.key) return {}
+  const full = await fetchRule({ host, token, key: rule.key }).catch(() => null)
+  const section = (key) => full?.descriptionSections?.filter((s) => s.key === key).map((s) => s.content).join("\n")
+  return { risk: section("root_cause"), assess: section("assess_the_problem"), fix: section("how_to_fix") }
+}
+
+// Split list/detail/code browser for `hotspots -i`, highest vulnerability probability first.
+// `selected`: key of the hotspot to start on; `onExit` as for browseIssuesTui.
+async function browseHotspotsTui({ projectKey, branch, pullRequest, paging, hotspots, token, host, selected, onExit }) {
+  if (!hotspots.length) {
+    console.log(chalk.green("No hotspots."))
+    if (onExit) onExit()
+    return
+  }
+  const restoreTerm = downgradeTermForBlessed()
+  const blessedMod = await import("blessed")
+  const blessed = blessedMod.default || blessedMod
+  const screen = blessed.screen({
+    smartCSR: true,
+    title: `Hotspots - ${projectKey}`,
+  })
+  const help = "q:quit  ↑/↓:navigate  enter:view  tab:next pane  o:open in browser  r:refresh  h:help"
+  const PROBABILITY_ORDER = ["HIGH", "MEDIUM", "LOW"]
+  const rank = (h) => {
+    const i = PROBABILITY_ORDER.indexOf(h.vulnerabilityProbability)
+    return i === -1 ? PROBABILITY_ORDER.length : i
+  }
+  hotspots = [...hotspots].sort((a, b) => rank(a) - rank(b))
+  const scopeTag = pullRequest ? ` [PR #${pullRequest}]` : branch ? ` [${branch}]` : ""
+
+  const pane = (label, position) =>
+    blessed.box({
+      parent: screen,
+      label: ` {bold}${label}{/bold} `,
+      tags: true,
+      border: { type: "line" },
+      scrollable: true,
+      keys: true,
+      vi: true,
+      mouse: true,
+      alwaysScroll: true,
+      scrollbar: { ch: " " },
+      style: { focus: { border: { fg: "cyan" } } },
+      ...position,
+    })
+
+  const list = blessed.list({
+    parent: screen,
+    label: ` {bold}Hotspots (${hotspots.length} of ${paging?.total ?? hotspots.length})${escapeTag(scopeTag)}{/bold} `,
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    width: "40%",
+    height: "100%-1",
+    border: { type: "line" },
+    style: {
+      selected: { bg: "blue" },
+      scrollbar: { bg: "white" },
+      focus: { border: { fg: "cyan" } },
+    },
+    scrollbar: { ch: " " },
+    items: hotspots.map((h) => {
+      const category = h.securityCategory ? `{magenta-fg}${escapeTag(h.securityCategory)}{/magenta-fg} ` : ""
+      return `${probabilityColor(h.vulnerabilityProbability)} ${category}${escapeTag(truncate(h.message || "(no message)", 50))}`
+    }),
+  })
+  const detail = pane("Detail", { left: "40%", width: "60%", height: "50%" })
+  const code = pane("Code", { left: "40%", top: "50%", width: "60%", height: "50%-1" })
+  const status = blessed.box({
+    parent: screen,
+    bottom: 0,
+    height: 1,
+    width: "100%",
+    tags: true,
+    style: { bg: "gray" },
+  })
+  const panes = [list, detail, code]
+
+  function setStatus(message) {
+    status.setContent([help, message].filter(Boolean).join("  "))
+  }
+  setStatus()
+
+  let renderSeq = 0
+  let lastRendered = -1
+  async function render(idx) {
+    if (idx === lastRendered) return
+    lastRendered = idx
+    const mySeq = ++renderSeq
+    const hotspot = hotspots[idx]
+    if (!hotspot) return
+    const location = `{blue-fg}${escapeTag(hotspot.component || "")}{/blue-fg}${hotspot.line ? ":" + hotspot.line : ""}`
+    const head = [
+      `{bold}{yellow-fg}${escapeTag(hotspot.message || "(no message)")}{/yellow-fg}{/bold}`,
+      `{bold}${probabilityColor(hotspot.vulnerabilityProbability)}{/bold}  {magenta-fg}${escapeTag(hotspot.securityCategory || "")}{/magenta-fg}  ${hotspot.status || ""}${hotspot.resolution ? ` {gray-fg}${hotspot.resolution}{/gray-fg}` : ""}  {cyan-fg}${hotspot.key}{/cyan-fg}`,
+      location,
+    ]
+    if (hotspot.assignee) head.push(`Assignee: {cyan-fg}${escapeTag(hotspot.assignee)}{/cyan-fg}`)
+    detail.setContent(head.join("\n"))
+    detail.scrollTo(0)
+    code.setContent("Loading code snippet...")
+    screen.render()
+    // Rule text and code load side by side; each pane fills in as soon as its part arrives
+    await Promise.all([
+      (async () => {
+        try {
+          const full = await fetchHotspot({ host, token, hotspotKey: hotspot.key })
+          const sections = await hotspotRuleSections({ token, host, detail: full })
+          if (mySeq !== renderSeq) return // stale
+          const body = [...head]
+          if (full?.rule?.name) body.push(`{gray-fg}${escapeTag(full.rule.name)} (${escapeTag(full.rule.key)}){/gray-fg}`)
+          for (const [title, html] of [["What's the risk?", sections.risk], ["Assess the risk", sections.assess], ["How can I fix it?", sections.fix]]) {
+            if (html) body.push(`{gray-fg}${"─".repeat(50)}{/gray-fg}`, `{bold}{cyan-fg}${title}{/cyan-fg}{/bold}`, escapeTag(htmlToText(html)))
+          }
+          detail.setContent(body.join("\n"))
+        } catch (e) {
+          if (mySeq !== renderSeq) return
+          detail.setContent(`${head.join("\n")}\n\n{red-fg}Cannot load hotspot: ${escapeTag(e.message)}{/red-fg}`)
+        }
+      })(),
+      (async () => {
+        // hotspots/search gives the component key and line, which is all getIssueSource reads
+        const snippet = await getIssueSource({ token, host, issue: hotspot })
+        if (mySeq !== renderSeq) return
+        code.setContent(snippet?.snippet ? colorizeSnippet(snippet.snippet, hotspot) : "(no snippet)")
+      })(),
+    ])
+    if (mySeq === renderSeq) screen.render()
+  }
+
+  list.on("select", async (_item, idx) => {
+    await render(idx)
+  })
+  const NAV_KEYS = ["up", "down", "k", "j", "pageup", "pagedown", "home", "end", "g"]
+  list.on("keypress", async (_ch, key) => {
+    if (NAV_KEYS.includes(key.name)) await render(list.selected)
+  })
+
+  screen.key(["q", "C-c"], (_ch, key) => {
+    screen.destroy()
+    restoreTerm()
+    if (onExit && key.full === "q") return onExit()
+    process.exit(0)
+  })
+  // The detail and code panes scroll with the arrow keys once focused
+  screen.key(["tab"], () => {
+    panes[(panes.indexOf(screen.focused) + 1) % panes.length].focus()
+    screen.render()
+  })
+  screen.key(["S-tab"], () => {
+    panes[(panes.indexOf(screen.focused) - 1 + panes.length) % panes.length].focus()
+    screen.render()
+  })
+  screen.key(["o"], () => {
+    const url = buildHotspotUrl(host, hotspots[list.selected].key, projectKey)
+    openUrl(url)
+    setStatus(`opened ${escapeTag(url)}`)
+    screen.render()
+  })
+  screen.key(["r"], async () => {
+    setStatus("refreshing...")
+    lastRendered = -1
+    await render(list.selected)
+    setStatus()
+    screen.render()
+  })
+  screen.key(["?", "h"], () => {
+    setStatus()
+    screen.render()
+  })
+
+  const start = Math.max(0, hotspots.findIndex((h) => h.key === selected))
+  list.select(start)
+  list.focus()
+  screen.on("destroy", () => restoreTerm())
+  await render(start)
+}
+
+function facetBar(count, max, width = 20) {
+  const n = max ? Math.max(1, Math.round((count / max) * width)) : 0
+  return "█".repeat(n)
+}
+
+// Full-screen dashboard built from collectReport. Tab cycles the panels, enter drills into the
+// selected row: metric history, the issues TUI (facet value or file) or the hotspots TUI.
+async function browseDashboardTui({ cfg, caps, top, from, interval }) {
+  const scope = { host: cfg.host, token: cfg.token, branch: cfg.branch, pullRequest: cfg.pullRequest }
+  const COMPARATORS = { GT: ">", LT: "<", EQ: "=", NE: "≠" }
+  const blessedMod = await import("blessed")
+  const blessed = blessedMod.default || blessedMod
+  let report
+  let timer
+
+  function open() {
+    const restoreTerm = downgradeTermForBlessed()
+    const screen = blessed.screen({ smartCSR: true, title: `Dashboard - ${cfg.project}` })
+    const help = "q:quit  tab:next panel  enter:drill in  r:refresh  o:open in browser"
+    const panel = (label, position) =>
+      blessed.list({
+        parent: screen,
+        label: ` {bold}${label}{/bold} `,
+        tags: true,
+        keys: true,
+        vi: true,
+        mouse: true,
+        border: { type: "line" },
+        style: { selected: { bg: "blue" }, border: { fg: "gray" }, focus: { border: { fg: "cyan" } } },
+        ...position,
+      })
+    const panels = {
+      gate: panel("Quality Gate", { top: 0, left: 0, width: "34%", height: "35%" }),
+      metrics: panel("Metrics", { top: 0, left: "34%", width: "33%", height: "35%" }),
+      trends: panel("Trends", { top: 0, left: "67%", width: "33%", height: "35%" }),
+      issues: panel("Open Issues", { top: "35%", left: 0, width: "50%", height: "35%" }),
+      hotspots: panel("Hotspots to Review", { top: "35%", left: "50%", width: "50%", height: "35%" }),
+      files: panel("Worst Files", { top: "70%", left: 0, width: "100%", height: "30%-1" }),
+    }
+    const order = Object.values(panels)
+    const status = blessed.box({ parent: screen, bottom: 0, height: 1, width: "100%", tags: true, style: { bg: "gray" } })
+    // What each row of a panel drills into, filled by fill()
+    const rows = {}
+    // Set once this screen is gone; loads still in flight must not draw on it
+    let closed = false
+    // One reload at a time: a timer tick or `r` during a slow reload is skipped, so an older
+    // report never lands after a newer one
+    let inFlight = false
+
+    function setStatus(message) {
+      const scopeTag = cfg.pullRequest ? ` [PR #${cfg.pullRequest}]` : cfg.branch ? ` [${cfg.branch}]` : ""
+      status.setContent([`{bold}${escapeTag(cfg.project)}${escapeTag(scopeTag)}{/bold}`, help, message].filter(Boolean).join("  "))
+    }
+
+    function fill() {
+      const gate = report.qualityGate || {}
+      const passed = gate.status === "OK"
+      panels.gate.setLabel(` {bold}Quality Gate: ${passed ? "{green-fg}PASSED{/green-fg}" : gate.status ? `{red-fg}${gate.status}{/red-fg}` : "—"}{/bold} `)
+      rows.gate = (gate.conditions || []).map((c) => ({ metric: c.metricKey }))
+      panels.gate.setItems(
+        (gate.conditions || []).map((c) => {
+          const mark = c.status === "ERROR" ? "{red-fg}✖{/red-fg}" : "{green-fg}✔{/green-fg}"
+          const threshold = `${COMPARATORS[c.comparator] || c.comparator || ""} ${formatValue(c.metricKey, c.errorThreshold)}`
+          return `${mark} ${metricLabel(c.metricKey)}: ${formatValue(c.metricKey, c.actualValue)} {gray-fg}(${threshold}){/gray-fg}`
+        }),
+      )
+
+      const metrics = Object.entries(report.metrics)
+      rows.metrics = metrics.map(([metric]) => ({ metric }))
+      panels.metrics.setItems(metrics.map(([metric, value]) => `${metricLabel(metric).padEnd(24)} {bold}${formatValue(metric, value)}{/bold}`))
+
+      rows.trends = report.trends.map((t) => ({ metric: t.metric }))
+      panels.trends.setItems(
+        report.trends.map((t) => {
+          const last = t.points[t.points.length - 1]
+          return `${metricLabel(t.metric).padEnd(18)} {cyan-fg}${textSparkline(t.points) || "—"}{/cyan-fg} ${last ? last.value : ""}`
+        }),
+      )
+
+      panels.issues.setLabel(` {bold}Open Issues (${report.issues.total}){/bold} `)
+      rows.issues = []
+      const issueItems = []
+      for (const facet of ["severities", "types"]) {
+        const counts = Object.entries(report.issues.facets[facet] || {}).sort((a, b) => b[1] - a[1])
+        const max = Math.max(0, ...counts.map(([, n]) => n))
+        for (const [value, count] of counts) {
+          rows.issues.push({ facet, value })
+          issueItems.push(`${value.padEnd(16)} {yellow-fg}${facetBar(count, max)}{/yellow-fg} ${count}`)
+        }
+      }
+      panels.issues.setItems(issueItems)
+
+      const hotspots = report.hotspots
+      panels.hotspots.setLabel(` {bold}Hotspots to Review${hotspots ? ` (${hotspots.total})` : ""}{/bold} `)
+      rows.hotspots = hotspots ? hotspots.items.map((h) => ({ hotspot: h })) : []
+      panels.hotspots.setItems(
+        hotspots
+          ? hotspots.items.map((h) => {
+              const file = h.component?.split(":").slice(1).join(":") || ""
+              return `${probabilityColor(h.vulnerabilityProbability)} ${escapeTag(h.securityCategory || "")} ${escapeTag(truncate(h.message || "", 40))} {blue-fg}${escapeTag(file)}${h.line ? ":" + h.line : ""}{/blue-fg}`
+            })
+          : ["{gray-fg}Not available on this server{/gray-fg}"],
+      )
+
+      rows.files = report.worstFiles.map((f) => ({ file: f }))
+      panels.files.setItems(
+        report.worstFiles.map((f) => {
+          const m = f.measures
+          const counts = `issues ${m.violations ?? "—"}  bugs ${m.bugs ?? "—"}  vulnerabilities ${m.vulnerabilities ?? "—"}  smells ${m.code_smells ?? "—"}  coverage ${m.coverage ?? "—"}`
+          return `{blue-fg}${escapeTag(f.path).padEnd(60)}{/blue-fg} ${counts}`
+        }),
+      )
+    }
+
+    async function refresh() {
+      if (inFlight) return
+      inFlight = true
+      setStatus("loading...")
+      screen.render()
+      try {
+        const fresh = await collectReport({ ...scope, project: cfg.project, caps, top, from })
+        if (closed) return
+        report = fresh
+        fill()
+        const every = interval ? `, every ${interval}s` : ""
+        setStatus(`updated ${new Date().toLocaleTimeString()}${every}`)
+      } catch (e) {
+        if (closed) return
+        setStatus(`{red-fg}refresh failed: ${escapeTag(e.message)}{/red-fg}`)
+      } finally {
+        inFlight = false
+      }
+      screen.render()
+    }
+
+    function close() {
+      closed = true
+      clearInterval(timer)
+      screen.destroy()
+      restoreTerm()
+    }
+
+    function popup(label, content) {
+      const box = blessed.box({
+        parent: screen,
+        label: ` {bold}${label}{/bold} {gray-fg}esc:close{/gray-fg} `,
+        tags: true,
+        keys: true,
+        vi: true,
+        mouse: true,
+        scrollable: true,
+        alwaysScroll: true,
+        border: { type: "line" },
+        width: "70%",
+        height: "70%",
+        top: "center",
+        left: "center",
+        content,
+      })
+      const previous = screen.focused
+      box.key(["escape", "enter"], () => {
+        box.destroy()
+        previous.focus()
+        screen.render()
+      })
+      box.focus()
+      screen.render()
+    }
+
+    async function showHistory(metric) {
+      setStatus(`loading ${metric} history...`)
+      screen.render()
+      try {
+        const history = await fetchMeasuresHistory({ ...scope, component: cfg.project, metrics: [metric], from })
+        if (closed) return
+        const points = (history.measures?.[0]?.history || []).filter((h) => h.value !== undefined)
+        const numeric = points.filter((h) => !isNaN(parseFloat(h.value))).map((h) => ({ date: h.date, value: parseFloat(h.value) }))
+        const lines = points.map((h) => `${h.date.slice(0, 10)}  ${formatValue(metric, h.value)}`)
+        const spark = textSparkline(numeric)
+        popup(`${metricLabel(metric)} since ${from}`, [spark && `{cyan-fg}${spark}{/cyan-fg}`, "", ...(lines.length ? lines : ["{gray-fg}No history{/gray-fg}"])].join("\n"))
+        setStatus()
+      } catch (e) {
+        if (closed) return
+        setStatus(`{red-fg}history failed: ${escapeTag(e.message)}{/red-fg}`)
+      }
+      screen.render()
+    }
+
+    // Leaves the dashboard for the hotspots TUI, which comes back here when it is quit
+    function showHotspot(h) {
+      close()
+      const { items, total } = report.hotspots
+      browseHotspotsTui({ ...scope, projectKey: cfg.project, hotspots: items, paging: { total }, selected: h.key, onExit: open })
+    }
+
+    // Leaves the dashboard for the issues TUI and comes back when it is quit
+    async function showIssues(query) {
+      setStatus("loading issues...")
+      screen.render()
+      try {
+        const data = await getIssues({ ...scope, project: cfg.project, ...query, limit: 100 })
+        if (closed) return
+        if (!data.issues.length) {
+          setStatus("no open issues there")
+          screen.render()
+          return
+        }
+        close()
+        await browseIssuesTui({ ...data, token: cfg.token, host: cfg.host, query, onExit: open })
+      } catch (e) {
+        if (closed) return
+        setStatus(`{red-fg}issues failed: ${escapeTag(e.message)}{/red-fg}`)
+        screen.render()
+      }
+    }
+
+    const OPEN_ISSUES = { statuses: "OPEN,CONFIRMED,REOPENED" }
+    for (const [name, list] of Object.entries(panels)) {
+      list.on("select", async (_item, idx) => {
+        const row = rows[name]?.[idx]
+        if (!row) return
+        if (row.metric) await showHistory(row.metric)
+        else if (row.facet) await showIssues({ ...OPEN_ISSUES, [row.facet]: row.value })
+        else if (row.file) await showIssues({ ...OPEN_ISSUES, componentKeys: row.file.key })
+        else if (row.hotspot) showHotspot(row.hotspot)
+      })
+    }
+
+    screen.key(["q", "C-c"], () => {
+      close()
+      process.exit(0)
+    })
+    screen.key(["tab"], () => {
+      order[(order.indexOf(screen.focused) + 1) % order.length].focus()
+      screen.render()
+    })
+    screen.key(["S-tab"], () => {
+      order[(order.indexOf(screen.focused) - 1 + order.length) % order.length].focus()
+      screen.render()
+    })
+    screen.key(["r"], refresh)
+    screen.key(["o"], () => openUrl(buildDashboardUrl(cfg.host, cfg.project, cfg.branch, cfg.pullRequest)))
+
+    panels.gate.focus()
+    if (report) fill()
+    setStatus()
+    screen.render()
+    refresh()
+    if (interval) timer = setInterval(refresh, interval * 1000)
+  }
+
+  open()
+}
+
+function formatListItem(i) {
+  return `${severityColor(i.severity)} ${i.type.padEnd(11)} ${impactBadge(i.impacts)}${truncate(
+    i.message || "(no message)",
+    50,
+  )}`
+}
+
+// Compact impact column for the list: first letter of the quality + severity, e.g. "M:H R:M "
+function impactBadge(impacts) {
+  if (!impacts?.length) return ""
+  return (
+    impacts
+      .map((imp) => impactColor(imp.severity, `${imp.softwareQuality[0]}:${imp.severity[0]}`))
+      .join(" ") + " "
+  )
+}
+
+function impactColor(severity, text = severity) {
+  const color = { BLOCKER: "red", HIGH: "red", MEDIUM: "yellow", LOW: "cyan", INFO: "blue" }[severity]
+  return color ? `{${color}-fg}${text}{/${color}-fg}` : text
+}
+
 function statusColor(status) {
   if (!status) return ""
   const map = {
@@ -737,10 +2375,31 @@ function severityColor(sev) {
   return map[sev] || sev
 }
 
+function probabilityColor(probability) {
+  const color = { HIGH: "red", MEDIUM: "yellow", LOW: "green" }[probability]
+  return color ? `{${color}-fg}${probability}{/${color}-fg}` : probability || ""
+}
+
 function escapeTag(str) {
   return str.replace(/\{/g, "<").replace(/\}/g, ">")
 }
 
+// Rule descriptions are HTML: keeps paragraph and list breaks, drops the rest of the markup
+function htmlToText(html) {
+  return String(html || "")
+    .replace(/<\/(p|h\d|pre|ul|ol|div)>|<br\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "\n  • ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+}
+
 function guessLang(issue) {
   const comp = issue.component || ""
   const lower = comp.toLowerCase()
@@ -760,29 +2419,46 @@ function guessLang(issue) {
 }
 
 // ---- New command handlers ----
-function buildIssueUrl(host, issueKey, projectKey) {
+function buildIssueUrl(host, issueKey, projectKey, branch, pullRequest) {
   const base = host.replace(/\/$/, '')
   const projectPart = projectKey ? `id=${encodeURIComponent(projectKey)}&` : ''
-  return `${base}/project/issues?${projectPart}open=${encodeURIComponent(issueKey)}&issues=${encodeURIComponent(issueKey)}`
+  const branchPart = pullRequest
+    ? `pullRequest=${encodeURIComponent(pullRequest)}&`
+    : branch ? `branch=${encodeURIComponent(branch)}&` : ''
+  return `${base}/project/issues?${projectPart}${branchPart}open=${encodeURIComponent(issueKey)}&issues=${encodeURIComponent(issueKey)}`
 }
+// SonarCloud nests hotspots under /project and rules under the organization
 function buildHotspotUrl(host, hotspotKey, projectKey) {
   const base = host.replace(/\/$/, '')
   const projectPart = projectKey ? `id=${encodeURIComponent(projectKey)}&` : ''
-  return `${base}/security_hotspots?${projectPart}hotspots=${encodeURIComponent(hotspotKey)}&open=${encodeURIComponent(hotspotKey)}`
+  const page = isSonarCloud(host) ? 'project/security_hotspots' : 'security_hotspots'
+  return `${base}/${page}?${projectPart}hotspots=${encodeURIComponent(hotspotKey)}&open=${encodeURIComponent(hotspotKey)}`
 }
-function buildRuleUrl(host, ruleKey) {
+function buildRuleUrl(host, ruleKey, organization) {
   const base = host.replace(/\/$/, '')
-  return `${base}/coding_rules?open=${encodeURIComponent(ruleKey)}&rule_key=${encodeURIComponent(ruleKey)}`
+  const page = isSonarCloud(host) && organization ? `organizations/${encodeURIComponent(organization)}/rules` : 'coding_rules'
+  return `${base}/${page}?open=${encodeURIComponent(ruleKey)}&rule_key=${encodeURIComponent(ruleKey)}`
 }
-function buildFileUrl(host, componentKey, branch) {
+function buildDashboardUrl(host, projectKey, branch, pullRequest) {
   const base = host.replace(/\/$/, '')
-  const branchPart = branch ? `&branch=${encodeURIComponent(branch)}` : ''
+  const branchPart = pullRequest
+    ? `&pullRequest=${encodeURIComponent(pullRequest)}`
+    : branch ? `&branch=${encodeURIComponent(branch)}` : ''
+  return `${base}/dashboard?id=${encodeURIComponent(projectKey)}${branchPart}`
+}
+function buildFileUrl(host, componentKey, branch, pullRequest) {
+  const base = host.replace(/\/$/, '')
+  const branchPart = pullRequest
+    ? `&pullRequest=${encodeURIComponent(pullRequest)}`
+    : branch ? `&branch=${encodeURIComponent(branch)}` : ''
   return `${base}/code?id=${encodeURIComponent(componentKey)}${branchPart}`
 }
 function openUrl(url) {
   const opener = process.platform === 'darwin' ? 'open' : (process.platform === 'win32' ? 'start' : 'xdg-open')
   try {
     const child = spawn(opener, [url], { stdio: 'ignore', detached: true })
+    // A missing opener is reported asynchronously; without a listener it crashes the process
+    child.on('error', (e) => console.error(chalk.red('Failed to open browser:'), e.message))
     child.unref()
   } catch (e) {
     console.error(chalk.red('Failed to open browser:'), e.message)
@@ -816,13 +2492,200 @@ async function runIssue(opts, key) {
   }
 }
 
+// Shared runner for `issue <action>` subcommands: `action(cfg)` returns the updated issue
+async function runIssueAction(cmd, doneMessage, action) {
+  const opts = cmd.optsWithGlobals()
+  const cfg = buildRuntimeConfig(opts)
+  if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(1) }
+  try {
+    const issue = await action(cfg)
+    if (opts.json) console.log(JSON.stringify(issue, null, 2))
+    else {
+      console.log(chalk.green(`✔ ${doneMessage}`))
+      if (issue) printIssue(issue)
+    }
+  } catch (e) {
+    reportError("Error updating issue", e)
+  }
+}
+
+async function runIssuesBulkChange(_opts, cmd) {
+  const opts = cmd.optsWithGlobals()
+  const cfg = buildRuntimeConfig(opts)
+  if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(1) }
+  if (!cfg.project) { console.error(chalk.red("Missing project")); process.exit(1) }
+  const changes = {
+    transition: opts.transition,
+    assign: opts.assign,
+    severity: opts.setSeverity?.toUpperCase(),
+    type: opts.setType?.toUpperCase(),
+    addTags: opts.addTags,
+    removeTags: opts.removeTags,
+    comment: opts.comment,
+  }
+  const planned = Object.entries(changes).filter(([, v]) => v)
+  if (!planned.length) {
+    console.error(chalk.red("Nothing to change (use --transition, --assign, --set-severity, --set-type, --add-tags, --remove-tags or --comment)"))
+    process.exit(1)
+  }
+  if (changes.transition && !ISSUE_TRANSITIONS.includes(changes.transition)) {
+    console.error(chalk.red(`Unknown transition: ${changes.transition} (expected ${ISSUE_TRANSITIONS.join(", ")})`))
+    process.exit(1)
+  }
+  const changed = opts.changed ? resolveChangedScope(cfg, opts) : undefined
+  try {
+    await applyCapabilities(cfg, { cleanCode: hasTaxonomyFilters(opts) })
+    const issuesData = await fetchIssueList({
+      token: cfg.token,
+      host: cfg.host,
+      project: cfg.project,
+      branch: cfg.branch,
+      pullRequest: cfg.pullRequest,
+      severities: opts.severities,
+      types: opts.types,
+      statuses: opts.statuses,
+      ...taxonomyFilters(opts),
+      changed,
+      limit: resolveLimit(opts, Infinity),
+      onProgress: progressReporter("issues"),
+    })
+    endProgress(issuesData)
+    const plan = planned.map(([k, v]) => `${k}=${v}`).join(" ")
+    if (opts.dryRun) {
+      if (opts.json) console.log(JSON.stringify({ changes, issues: issuesData.issues }, null, 2))
+      else {
+        printIssues(issuesData)
+        console.log(chalk.yellow(`Dry run: would apply ${plan} to ${issuesData.issues.length} issues`))
+      }
+      return
+    }
+    if (!issuesData.issues.length) {
+      console.log(chalk.green("No issues matched; nothing to change."))
+      return
+    }
+    if (!opts.yes && !(await confirm(`Apply ${plan} to ${issuesData.issues.length} issues?`))) {
+      console.error(chalk.yellow("Aborted (use --yes to skip the confirmation)"))
+      process.exit(1)
+    }
+    const issueKeys = issuesData.issues.map((i) => i.key)
+    const commentOnly = planned.length === 1 && changes.comment
+    const result = commentOnly
+      ? await commentIssues({ host: cfg.host, token: cfg.token, issueKeys, text: changes.comment })
+      : await bulkChangeIssues({ host: cfg.host, token: cfg.token, issueKeys, ...changes, sendNotifications: opts.notify })
+    if (opts.json) console.log(JSON.stringify(result, null, 2))
+    else {
+      console.log(
+        `${chalk.green(`✔ ${result.success} changed`)}  ${chalk.gray(`${result.ignored} ignored`)}  ${
+          result.failures ? chalk.red(`${result.failures} failed`) : "0 failed"
+        }`,
+      )
+    }
+    if (result.failures) process.exit(1)
+  } catch (e) {
+    reportError("Error in bulk change", e)
+  }
+}
+
+// Asks on stderr so stdout stays parseable; non-interactive sessions never confirm
+async function confirm(question) {
+  if (!process.stdin.isTTY) return false
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr })
+  const answer = await rl.question(`${question} [y/N] `)
+  rl.close()
+  return /^y(es)?$/i.test(answer.trim())
+}
+
+// The issues filters given on the command line, without the unset ones
+function issueFilters(opts) {
+  const filters = { severities: opts.severities, types: opts.types, statuses: opts.statuses, ...taxonomyFilters(opts) }
+  return Object.fromEntries(Object.entries(filters).filter(([, v]) => v))
+}
+
+// Every issue in the snapshot scope; warns when the server stopped short of the full list
+async function fetchSnapshotIssues(cfg, opts, query) {
+  const changed = opts.changed ? resolveChangedScope(cfg, opts) : undefined
+  await applyCapabilities(cfg, { cleanCode: hasTaxonomyFilters(query) })
+  const data = await fetchIssueList({
+    token: cfg.token,
+    host: cfg.host,
+    project: cfg.project,
+    branch: cfg.branch,
+    pullRequest: cfg.pullRequest,
+    ...query,
+    changed,
+    limit: Infinity,
+    onProgress: progressReporter("issues"),
+  })
+  endProgress(data)
+  if (data.truncated || data.issues.length < data.paging.total)
+    console.error(chalk.yellow(`Only ${data.issues.length} of ${data.paging.total} issues could be fetched; the snapshot is incomplete.`))
+  return data
+}
+
+async function runSnapshotSave(file, cmd) {
+  const opts = cmd.optsWithGlobals()
+  const cfg = buildRuntimeConfig(opts)
+  if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(1) }
+  if (!cfg.project) { console.error(chalk.red("Missing project")); process.exit(1) }
+  const query = { statuses: OPEN_STATUSES, ...issueFilters(opts) }
+  try {
+    const data = await fetchSnapshotIssues(cfg, opts, query)
+    saveSnapshot(file, { projectKey: cfg.project, branch: data.branch, pullRequest: data.pullRequest, query, issues: data.issues })
+    console.log(chalk.green(`✔ Saved ${data.issues.length} issues to ${file}`))
+  } catch (e) {
+    reportError("Error saving snapshot", e)
+  }
+}
+
+// Exit statuses follow `gate check`: 1 when new blockers appeared, 4 on errors
+async function runSnapshotDiff(file, cmd) {
+  const opts = cmd.optsWithGlobals()
+  const cfg = buildRuntimeConfig(opts)
+  if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(GATE_EXIT.error) }
+  if (!cfg.project) { console.error(chalk.red("Missing project")); process.exit(GATE_EXIT.error) }
+  try {
+    const snapshot = loadSnapshot(file)
+    if (snapshot.projectKey !== cfg.project)
+      console.error(chalk.yellow(`Snapshot is of project ${snapshot.projectKey}, comparing with ${cfg.project}`))
+    // Same filters as the snapshot unless overridden, so both sides cover the same issues
+    const data = await fetchSnapshotIssues(cfg, opts, { ...snapshot.query, ...issueFilters(opts) })
+    const diff = diffSnapshot(snapshot.issues, data.issues)
+    const result = {
+      projectKey: cfg.project,
+      branch: data.branch,
+      pullRequest: data.pullRequest,
+      snapshot: { file, createdAt: snapshot.createdAt, projectKey: snapshot.projectKey, branch: snapshot.branch, pullRequest: snapshot.pullRequest },
+      ...diff,
+      newBlockers: diff.added.filter(isBlocker),
+    }
+    if (cfg.json || opts.json) console.log(JSON.stringify(result, null, 2))
+    else printSnapshotDiff(result)
+    process.exit(result.newBlockers.length ? GATE_EXIT.failed : GATE_EXIT.passed)
+  } catch (e) {
+    console.error(chalk.red("❌ Error diffing snapshot:"), e.message)
+    process.exit(GATE_EXIT.error)
+  }
+}
+
+function reportError(label, err) {
+  console.error(chalk.red(`❌ ${label}:`), err?.message || String(err))
+  const errors = err?.response?.data?.errors
+  if (Array.isArray(errors)) for (const e of errors) console.error(chalk.gray(`  ${e.msg}`))
+  process.exit(1)
+}
+
 async function runHotspots(opts) {
   const cfg = buildRuntimeConfig(opts)
   if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(1) }
   if (!cfg.project) { console.error(chalk.red("Missing project")); process.exit(1) }
+  const format = resolveFormat({ ...opts, json: cfg.json || opts.json }, HOTSPOT_FORMATS)
   try {
-    const data = await fetchHotspots({ host: cfg.host, token: cfg.token, project: cfg.project, branch: cfg.branch, status: opts.status, severity: opts.severity, limit: opts.limit || 50 })
-    if (cfg.json || opts.json) console.log(JSON.stringify(data, null, 2))
+    const caps = await applyCapabilities(cfg, { hotspots: true })
+    const data = await fetchHotspots({ host: cfg.host, token: cfg.token, project: cfg.project, branch: cfg.branch, pullRequest: cfg.pullRequest, status: opts.status, severity: opts.severity, limit: resolveLimit(opts, 50), onProgress: progressReporter("hotspots") })
+    endProgress(data)
+    if (format === "json") console.log(JSON.stringify(data, null, 2))
+    else if (format === "sarif") await printSarif(cfg, caps, { hotspots: data.hotspots, srcRoot: opts.srcRoot })
+    else if (opts.interactive) await browseHotspotsTui({ ...data, token: cfg.token, host: cfg.host })
     else printHotspots(data)
   } catch (e) {
     console.error(chalk.red("❌ Error fetching hotspots:"), e.message)
@@ -830,12 +2693,95 @@ async function runHotspots(opts) {
   }
 }
 
+// Validates and normalises a review target; exits on bad input
+function parseHotspotReview(status, resolution) {
+  const res = resolution?.toUpperCase()
+  const st = (status || (res ? "REVIEWED" : "")).toUpperCase()
+  if (!["TO_REVIEW", "REVIEWED"].includes(st)) {
+    console.error(chalk.red("Missing or unknown status (use --status TO_REVIEW|REVIEWED or --resolution)"))
+    process.exit(1)
+  }
+  if (st === "REVIEWED" && !HOTSPOT_RESOLUTIONS.includes(res)) {
+    console.error(chalk.red(`REVIEWED needs --resolution ${HOTSPOT_RESOLUTIONS.join("|")}`))
+    process.exit(1)
+  }
+  return { status: st, resolution: st === "REVIEWED" ? res : undefined }
+}
+
+// Shared runner for `hotspot <action>` subcommands: runs `action(cfg)` then shows the hotspot
+async function runHotspotAction(cmd, hotspotKey, doneMessage, action) {
+  const opts = cmd.optsWithGlobals()
+  const cfg = buildRuntimeConfig(opts)
+  if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(1) }
+  try {
+    await applyCapabilities(cfg, { hotspots: true })
+    await action(cfg)
+    const hotspot = await fetchHotspot({ host: cfg.host, token: cfg.token, hotspotKey })
+    if (opts.json) console.log(JSON.stringify(hotspot, null, 2))
+    else {
+      console.log(chalk.green(`✔ ${doneMessage}`))
+      if (hotspot) printHotspot(hotspot)
+    }
+  } catch (e) {
+    reportError("Error updating hotspot", e)
+  }
+}
+
+async function runHotspotsReview(_opts, cmd) {
+  const opts = cmd.optsWithGlobals()
+  const cfg = buildRuntimeConfig(opts)
+  if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(1) }
+  if (!cfg.project) { console.error(chalk.red("Missing project")); process.exit(1) }
+  const review = parseHotspotReview(opts.toReview ? "TO_REVIEW" : undefined, opts.resolution)
+  const plan = `${review.status}${review.resolution ? " / " + review.resolution : ""}`
+  try {
+    await applyCapabilities(cfg, { hotspots: true })
+    const data = await fetchHotspots({ host: cfg.host, token: cfg.token, project: cfg.project, branch: cfg.branch, pullRequest: cfg.pullRequest, status: opts.status, severity: opts.severity, limit: resolveLimit(opts, Infinity), onProgress: progressReporter("hotspots") })
+    endProgress(data)
+    if (opts.dryRun) {
+      if (opts.json) console.log(JSON.stringify({ review, hotspots: data.hotspots }, null, 2))
+      else {
+        printHotspots(data)
+        console.log(chalk.yellow(`Dry run: would mark ${data.hotspots.length} hotspots ${plan}`))
+      }
+      return
+    }
+    if (!data.hotspots.length) {
+      console.log(chalk.green("No hotspots matched; nothing to review."))
+      return
+    }
+    if (!opts.yes && !(await confirm(`Mark ${data.hotspots.length} hotspots ${plan}?`))) {
+      console.error(chalk.yellow("Aborted (use --yes to skip the confirmation)"))
+      process.exit(1)
+    }
+    // No bulk endpoint for hotspots: one call each, throttled by the HTTP concurrency limit
+    const results = await Promise.allSettled(
+      data.hotspots.map((h) =>
+        changeHotspotStatus({ host: cfg.host, token: cfg.token, hotspotKey: h.key, ...review, comment: opts.comment }),
+      ),
+    )
+    const failed = results
+      .map((r, i) => ({ r, key: data.hotspots[i].key }))
+      .filter(({ r }) => r.status === "rejected")
+    if (opts.json) {
+      console.log(JSON.stringify({ review, success: results.length - failed.length, failures: failed.map(({ key, r }) => ({ key, error: r.reason?.message })) }, null, 2))
+    } else {
+      console.log(`${chalk.green(`✔ ${results.length - failed.length} reviewed`)}  ${failed.length ? chalk.red(`${failed.length} failed`) : "0 failed"}`)
+      for (const { key, r } of failed) console.error(chalk.gray(`  ${key}: ${r.reason?.message}`))
+    }
+    if (failed.length) process.exit(1)
+  } catch (e) {
+    reportError("Error reviewing hotspots", e)
+  }
+}
+
 async function runHotspot(opts, key) {
   const hotspotKey = typeof key === 'string' ? key : (Array.isArray(key) ? key[0] : undefined)
   const cfg = buildRuntimeConfig(opts)
   if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(1) }
   if (!hotspotKey) { console.error(chalk.red("Hotspot key required")); process.exit(1) }
   try {
+    await applyCapabilities(cfg, { hotspots: true })
     const hotspot = await fetchHotspot({ host: cfg.host, token: cfg.token, hotspotKey })
     if (!hotspot) { console.error(chalk.yellow("Hotspot not found")); process.exit(1) }
     if (cfg.json || opts.json) console.log(JSON.stringify(hotspot, null, 2))
@@ -861,7 +2807,8 @@ async function runRules(opts) {
   const cfg = buildRuntimeConfig(opts)
   if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(1) }
   try {
-    const data = await fetchRules({ host: cfg.host, token: cfg.token, query: opts.query, languages: opts.languages, tags: opts.tags, repository: opts.repository, activeSeverities: opts.severities, limit: opts.limit || 50 })
+    const data = await fetchRules({ host: cfg.host, token: cfg.token, query: opts.query, languages: opts.languages, tags: opts.tags, repository: opts.repository, activeSeverities: opts.severities, limit: resolveLimit(opts, 50), onProgress: progressReporter("rules") })
+    endProgress(data)
     if (cfg.json || opts.json) console.log(JSON.stringify(data, null, 2))
     else printRules(data)
   } catch (e) { console.error(chalk.red("❌ Error searching rules:"), e.message); process.exit(1) }
@@ -879,11 +2826,11 @@ async function runRule(opts, key) {
     else {
       printRule(rule)
       if (opts.url) {
-        const url = buildRuleUrl(cfg.host, rule.key)
+        const url = buildRuleUrl(cfg.host, rule.key, cfg.organization)
         console.log(url)
       }
       if (opts.open) {
-        const url = buildRuleUrl(cfg.host, rule.key)
+        const url = buildRuleUrl(cfg.host, rule.key, cfg.organization)
         console.log(chalk.gray('Opening: ') + url)
         openUrl(url)
       }
@@ -898,7 +2845,8 @@ async function runMeasures(opts) {
   if (!component) { console.error(chalk.red("Component key required")); process.exit(1) }
   const metrics = opts.metrics
   try {
-    const componentData = await fetchMeasures({ host: cfg.host, token: cfg.token, component, metricKeys: metrics, branch: cfg.branch })
+    await applyCapabilities(cfg)
+    const componentData = await fetchMeasures({ host: cfg.host, token: cfg.token, component, metricKeys: metrics, branch: cfg.branch, pullRequest: cfg.pullRequest })
     if (!componentData) { console.error(chalk.yellow("No measures returned")); process.exit(1) }
     if (cfg.json || opts.json) console.log(JSON.stringify(componentData, null, 2))
     else printMeasures(componentData)
@@ -912,7 +2860,8 @@ async function runMeasuresHistory(opts) {
   if (!component) { console.error(chalk.red("Component key required")); process.exit(1) }
   const metrics = opts.metrics
   try {
-    const history = await fetchMeasuresHistory({ host: cfg.host, token: cfg.token, component, metrics, branch: cfg.branch, from: opts.from, to: opts.to })
+    await applyCapabilities(cfg)
+    const history = await fetchMeasuresHistory({ host: cfg.host, token: cfg.token, component, metrics, branch: cfg.branch, pullRequest: cfg.pullRequest, from: opts.from, to: opts.to })
     if (cfg.json || opts.json) console.log(JSON.stringify(history, null, 2))
     else printMeasuresHistory(history)
   } catch (e) { console.error(chalk.red("❌ Error fetching measures history:"), e.message); process.exit(1) }
@@ -924,7 +2873,9 @@ async function runComponentTree(opts) {
   const component = opts.component
   if (!component) { console.error(chalk.red("Component key required")); process.exit(1) }
   try {
-    const tree = await fetchComponentTree({ host: cfg.host, token: cfg.token, component, branch: cfg.branch, qualifiers: opts.qualifiers || 'FIL', metricKeys: opts.metrics, strategy: opts.strategy })
+    await applyCapabilities(cfg)
+    const tree = await fetchComponentTree({ host: cfg.host, token: cfg.token, component, branch: cfg.branch, pullRequest: cfg.pullRequest, qualifiers: opts.qualifiers || 'FIL', metricKeys: opts.metrics, strategy: opts.strategy, pageSize: resolveLimit(opts, 100), onProgress: progressReporter("components") })
+    endProgress(tree)
     if (cfg.json || opts.json) console.log(JSON.stringify(tree, null, 2))
     else printComponentTree(tree)
   } catch (e) { console.error(chalk.red("❌ Error fetching component tree:"), e.message); process.exit(1) }
@@ -936,13 +2887,14 @@ async function runDuplications(opts) {
   const fileKey = opts.file
   if (!fileKey) { console.error(chalk.red("File key required")); process.exit(1) }
   try {
-    const dups = await fetchDuplications({ host: cfg.host, token: cfg.token, project: opts.project || cfg.project, branch: cfg.branch, fileKey })
+    await applyCapabilities(cfg)
+    const dups = await fetchDuplications({ host: cfg.host, token: cfg.token, project: opts.project || cfg.project, branch: cfg.branch, pullRequest: cfg.pullRequest, fileKey })
     if (cfg.json || opts.json) console.log(JSON.stringify(dups, null, 2))
     else {
       printDuplications(dups)
       if (opts.url || opts.open) {
         const fileKey = opts.file
-        const url = buildFileUrl(cfg.host, fileKey, cfg.branch)
+        const url = buildFileUrl(cfg.host, fileKey, cfg.branch, cfg.pullRequest)
         if (opts.url) console.log(url)
         if (opts.open) {
           console.log(chalk.gray('Opening: ') + url)
@@ -968,13 +2920,204 @@ async function runQualityGate(opts) {
   if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(1) }
   if (!cfg.project) { console.error(chalk.red("Missing project")); process.exit(1) }
   try {
-    const gate = await fetchQualityGate({ host: cfg.host, token: cfg.token, project: cfg.project })
+    await applyCapabilities(cfg)
+    const gate = await fetchQualityGate({ host: cfg.host, token: cfg.token, project: cfg.project, branch: cfg.branch, pullRequest: cfg.pullRequest })
     if (!gate) { console.error(chalk.yellow("No gate data")); process.exit(1) }
     if (cfg.json || opts.json) console.log(JSON.stringify(gate, null, 2))
     else printQualityGate(gate)
   } catch (e) { console.error(chalk.red("❌ Error fetching quality gate:"), e.message); process.exit(1) }
 }
 
+async function runGateCheck(opts) {
+  // A NaN deadline is never reached: the check would poll forever instead of timing out
+  for (const name of ["timeout", "interval"]) {
+    if (!Number.isFinite(opts[name]) || opts[name] <= 0) {
+      console.error(chalk.red(`--${name} must be a positive number of seconds`))
+      process.exit(GATE_EXIT.error)
+    }
+  }
+  const cfg = buildRuntimeConfig(opts)
+  let taskId = opts.taskId
+  if (!taskId) {
+    const report = readReportTask(opts.reportFile)
+    if (!report?.ceTaskId) {
+      console.error(chalk.red(`No --task-id given and no ceTaskId found in ${opts.reportFile}`))
+      process.exit(GATE_EXIT.error)
+    }
+    taskId = report.ceTaskId
+    // The scanner knows which server it uploaded to; only an explicit --host wins over it
+    if (!opts.host && report.serverUrl) cfg.host = report.serverUrl
+  }
+  if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(GATE_EXIT.error) }
+  try {
+    let lastStatus
+    const { task, timedOut } = await waitForCeTask({
+      host: cfg.host,
+      token: cfg.token,
+      taskId,
+      timeoutMs: opts.timeout * 1000,
+      intervalMs: opts.interval * 1000,
+      onPoll: (t) => {
+        if (t?.status !== lastStatus) console.error(chalk.gray(`Task ${taskId}: ${t?.status || "unknown"}`))
+        lastStatus = t?.status
+      },
+    })
+    if (timedOut) {
+      if (opts.json) console.log(JSON.stringify({ result: "timeout", task }, null, 2))
+      else console.error(chalk.red(`⏱ Task ${taskId} still ${task?.status || "unknown"} after ${opts.timeout}s`))
+      process.exit(GATE_EXIT.timeout)
+    }
+    if (task.status !== "SUCCESS") {
+      if (opts.json) console.log(JSON.stringify({ result: "task-failed", task }, null, 2))
+      else console.error(chalk.red(`❌ Analysis task ${task.status}: ${task.errorMessage || "(no message)"}`))
+      process.exit(GATE_EXIT.taskFailed)
+    }
+    const gate = await fetchQualityGate({ host: cfg.host, token: cfg.token, analysisId: task.analysisId })
+    if (!gate) { console.error(chalk.yellow("No gate data")); process.exit(GATE_EXIT.error) }
+    // NONE = no gate assigned to the project; nothing can fail
+    const passed = gate.status === "OK" || gate.status === "NONE"
+    if (opts.json) console.log(JSON.stringify({ result: passed ? "passed" : "failed", task, gate }, null, 2))
+    else printGateCheck({ task, gate })
+    process.exit(passed ? GATE_EXIT.passed : GATE_EXIT.failed)
+  } catch (e) {
+    console.error(chalk.red("❌ Error checking quality gate:"), e.message)
+    process.exit(GATE_EXIT.error)
+  }
+}
+
+async function runPolicyCheck(opts) {
+  const cfg = buildRuntimeConfig(opts)
+  let policy
+  try {
+    policy = loadPolicy(opts.file)
+  } catch (e) {
+    console.error(chalk.red(e.message))
+    process.exit(GATE_EXIT.error)
+  }
+  const project = opts.project || policy.project || cfg.project
+  if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(GATE_EXIT.error) }
+  if (!project) { console.error(chalk.red("Missing project")); process.exit(GATE_EXIT.error) }
+  try {
+    await applyCapabilities(cfg, { cleanCode: policy.conditions.some((c) => c.issues && hasTaxonomyFilters(c.issues)) })
+    const result = await evaluatePolicy({ host: cfg.host, token: cfg.token, project, branch: cfg.branch, pullRequest: cfg.pullRequest, policy })
+    if (cfg.json || opts.json) console.log(JSON.stringify(result, null, 2))
+    else printPolicyResult(result)
+    process.exit(result.passed ? GATE_EXIT.passed : GATE_EXIT.failed)
+  } catch (e) {
+    console.error(chalk.red("❌ Error checking policy:"), e.message)
+    process.exit(GATE_EXIT.error)
+  }
+}
+
+async function runReport(opts) {
+  const cfg = buildRuntimeConfig(opts)
+  if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(1) }
+  if (!cfg.project) { console.error(chalk.red("Missing project")); process.exit(1) }
+  const format = opts.format.toLowerCase()
+  if (!["markdown", "md", "html"].includes(format)) {
+    console.error(chalk.red(`Unknown format "${opts.format}" (use markdown or html)`))
+    process.exit(1)
+  }
+  const from = opts.from || new Date(Date.now() - 90 * 86400000).toISOString().slice(0, 10)
+  try {
+    const caps = await applyCapabilities(cfg)
+    const report = await collectReport({ host: cfg.host, token: cfg.token, project: cfg.project, branch: cfg.branch, pullRequest: cfg.pullRequest, caps, top: opts.top, from })
+    const urls = {
+      dashboard: buildDashboardUrl(cfg.host, cfg.project, cfg.branch, cfg.pullRequest),
+      issue: (key) => buildIssueUrl(cfg.host, key, cfg.project, cfg.branch, cfg.pullRequest),
+      hotspot: (key) => buildHotspotUrl(cfg.host, key, cfg.project),
+    }
+    const doc = format === "html" ? renderHtml(report, urls) : renderMarkdown(report, urls)
+    if (opts.output) {
+      fs.writeFileSync(opts.output, doc, "utf8")
+      console.error(chalk.green(`✔ Report written to ${opts.output}`))
+    } else process.stdout.write(doc)
+  } catch (e) {
+    console.error(chalk.red("❌ Error building report:"), e.message)
+    process.exit(1)
+  }
+}
+
+async function runDash(opts) {
+  const cfg = buildRuntimeConfig(opts)
+  if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(1) }
+  if (!cfg.project) { console.error(chalk.red("Missing project")); process.exit(1) }
+  // --refresh, else dashRefresh from the config file, else a minute
+  const interval = opts.refresh ?? (cfg.dashRefresh !== undefined ? Number(cfg.dashRefresh) : 60)
+  if (!Number.isFinite(interval) || interval < 0) {
+    console.error(chalk.red("The refresh interval must be a number of seconds (0 disables it)"))
+    process.exit(1)
+  }
+  const from = opts.from || new Date(Date.now() - 90 * 86400000).toISOString().slice(0, 10)
+  try {
+    const caps = await applyCapabilities(cfg)
+    await browseDashboardTui({ cfg, caps, top: opts.top, from, interval })
+  } catch (e) {
+    console.error(chalk.red("❌ Error opening the dashboard:"), e.message)
+    process.exit(1)
+  }
+}
+
+async function runSummary(opts) {
+  const cfg = buildRuntimeConfig(opts)
+  if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(1) }
+  if (!cfg.project) { console.error(chalk.red("Missing project")); process.exit(1) }
+  try {
+    await applyCapabilities(cfg)
+    const summary = await collectSummary({ host: cfg.host, token: cfg.token, project: cfg.project, branch: cfg.branch, pullRequest: cfg.pullRequest, top: opts.top })
+    if (cfg.json || opts.json) console.log(JSON.stringify(summary, null, 2))
+    else if (opts.markdown) {
+      process.stdout.write(
+        renderSummaryMarkdown(summary, {
+          dashboard: buildDashboardUrl(cfg.host, cfg.project, cfg.branch, cfg.pullRequest),
+          issue: (key) => buildIssueUrl(cfg.host, key, cfg.project, cfg.branch, cfg.pullRequest),
+        }),
+      )
+    } else printSummary(summary)
+  } catch (e) {
+    console.error(chalk.red("❌ Error building summary:"), e.message)
+    process.exit(1)
+  }
+}
+
+async function runCompare(opts, base, head) {
+  const cfg = buildRuntimeConfig(opts)
+  if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(1) }
+  if (!cfg.project) { console.error(chalk.red("Missing project")); process.exit(1) }
+  try {
+    const caps = await applyCapabilities(cfg)
+    requireCapability(caps, "branches")
+    const result = await compareBranches({
+      host: cfg.host,
+      token: cfg.token,
+      project: cfg.project,
+      base,
+      head,
+      limit: opts.limit || Infinity,
+      onProgress: (branch) => progressReporter(`issues on ${branch}`),
+    })
+    endProgress()
+    if (result.truncated) console.error(chalk.yellow("Not every issue was fetched; the issue lists may be incomplete."))
+    if (cfg.json || opts.json) console.log(JSON.stringify(result, null, 2))
+    else printComparison(result)
+  } catch (e) {
+    console.error(chalk.red("❌ Error comparing branches:"), e.message)
+    process.exit(1)
+  }
+}
+
+async function runPullRequests(opts) {
+  const cfg = buildRuntimeConfig(opts)
+  if (!cfg.token) { console.error(chalk.red("Missing token")); process.exit(1) }
+  if (!cfg.project) { console.error(chalk.red("Missing project")); process.exit(1) }
+  try {
+    await applyCapabilities(cfg, { pullRequests: true })
+    const pullRequests = await getPullRequests({ host: cfg.host, token: cfg.token, project: cfg.project })
+    if (cfg.json || opts.json) console.log(JSON.stringify(pullRequests, null, 2))
+    else printPullRequests({ projectKey: cfg.project, pullRequests })
+  } catch (e) { console.error(chalk.red("❌ Error fetching pull requests:"), e.message); process.exit(1) }
+}
+
 function colorizeSnippet(text, issue) {
   try {
     let out = highlight(text, {
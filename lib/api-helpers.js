@@ -1,26 +1,187 @@
 import axios from "axios"
+import { readCache, writeCache, invalidateHost, isOffline } from "./cache.js"
+
+const DEFAULT_HTTP = { timeout: 30000, retries: 3, retryDelay: 500, concurrency: 4 }
+let httpSettings = { ...DEFAULT_HTTP, auth: undefined, organization: undefined }
+
+// SonarCloud endpoints that are scoped by organization rather than by project
+const ORGANIZATION_ENDPOINTS = new Set([
+  "/api/issues/search",
+  "/api/rules/search",
+  "/api/rules/show",
+  "/api/qualityprofiles/search",
+  "/api/qualitygates/list",
+  "/api/projects/search",
+  "/api/components/search",
+])
+
+export function isSonarCloud(host) {
+  return /^https?:\/\/([a-z0-9-]+\.)?(sonarcloud\.io|sonarqube\.us)(\/|$)/i.test(host || "")
+}
+
+// Tune the HTTP layer (timeout ms, retry count, base backoff ms, max parallel requests) and the
+// request scope (auth: basic | bearer, organization). Unset / invalid values fall back to defaults.
+export function configureHttp(settings = {}) {
+  const next = { ...DEFAULT_HTTP }
+  for (const key of Object.keys(DEFAULT_HTTP)) {
+    const n = Number(settings[key])
+    if (settings[key] !== undefined && settings[key] !== "" && Number.isFinite(n) && n >= 0) next[key] = n
+  }
+  next.concurrency = Math.max(1, Math.floor(next.concurrency))
+  const auth = String(settings.auth || "").toLowerCase()
+  next.auth = auth === "bearer" || auth === "basic" ? auth : undefined
+  next.organization = settings.organization || undefined
+  httpSettings = next
+  return httpSettings
+}
+
+// Explicit `auth` wins; otherwise SonarCloud gets Bearer and SonarQube the token-as-username Basic
+function authOptions(host, token) {
+  const mode = httpSettings.auth || (isSonarCloud(host) ? "bearer" : "basic")
+  if (mode === "bearer") return { headers: { Authorization: `Bearer ${token}` } }
+  return { auth: { username: token, password: "" } }
+}
+
+let active = 0
+const waiting = []
+
+// A finished request hands its slot straight to the next waiter, so `active` never dips and a
+// caller arriving before the waiter resumes cannot slip past the limit
+async function withSlot(fn) {
+  if (active >= httpSettings.concurrency) await new Promise((resolve) => waiting.push(resolve))
+  else active++
+  try {
+    return await fn()
+  } finally {
+    const next = waiting.shift()
+    if (next) next()
+    else active--
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Retry-After is either delta-seconds or an HTTP date
+function retryAfterMs(header) {
+  if (!header) return undefined
+  const secs = Number(header)
+  if (Number.isFinite(secs)) return secs * 1000
+  const at = Date.parse(header)
+  return Number.isNaN(at) ? undefined : Math.max(0, at - Date.now())
+}
+
+// 429 is always safe to replay; 5xx / network failures only for reads
+function isRetryable(err, method) {
+  const status = err.response?.status
+  if (status === 429) return true
+  if (method !== "GET") return false
+  if (!err.response) return err.code !== "ERR_CANCELED"
+  return status >= 500
+}
 
 export async function apiRequest({ host, token, path, params = {}, method = "GET", data }) {
   const base = host.replace(/\/$/, "")
   const url = path.startsWith("/") ? base + path : base + "/" + path
-  const auth = { username: token, password: "" }
-  const res = await axios.request({ url, method, auth, params, data })
-  return res.data
+  const apiPath = url.slice(base.length)
+  if (httpSettings.organization && ORGANIZATION_ENDPOINTS.has(apiPath) && params.organization === undefined) {
+    params = { ...params, organization: httpSettings.organization }
+  }
+  if (method === "GET") {
+    const cached = readCache(base, token, apiPath, params)
+    if (cached) return cached.data
+  }
+  if (isOffline()) {
+    const err = new Error(`${method} ${path} is ${method === "GET" ? "not cached" : "unavailable"} (offline mode)`)
+    err.code = "EOFFLINE"
+    throw err
+  }
+  const { timeout, retries, retryDelay } = httpSettings
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await withSlot(() => axios.request({ url, method, params, data, timeout, ...authOptions(base, token) }))
+      if (method === "GET") writeCache(base, token, apiPath, params, res.data)
+      else invalidateHost(base)
+      return res.data
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err, method)) {
+        const reason = err.response
+          ? `HTTP ${err.response.status}`
+          : err.code === "ECONNABORTED"
+          ? `timed out after ${timeout}ms`
+          : err.message
+        err.message = `${method} ${path} failed${attempt ? ` after ${attempt + 1} attempts` : ""}: ${reason}`
+        throw err
+      }
+      const backoff = retryDelay * 2 ** attempt * (0.5 + Math.random() / 2)
+      const wait = err.response?.status === 429 ? retryAfterMs(err.response.headers?.["retry-after"]) ?? backoff : backoff
+      await sleep(Math.min(wait, 60000))
+    }
+  }
+}
+
+// SonarQube search endpoints refuse to page past 10,000 results and cap page size at 500.
+export const SEARCH_WINDOW = 10000
+export const MAX_PAGE_SIZE = 500
+
+// Normalise the two paging shapes (`paging` object vs legacy top-level p/ps/total).
+export function readPaging(data) {
+  if (data?.paging) return data.paging
+  return { pageIndex: data?.p ?? 1, pageSize: data?.ps ?? 0, total: data?.total ?? 0 }
 }
 
-// Fetch aggregated issues facets (summary). Default facets: severities,types,statuses
-export async function fetchIssuesSummary({ host, token, project, branch, facets }) {
-  const facetList = (facets && facets.trim()) || "severities,types,statuses"
+// Follow `paging` across pages until `limit` items are collected (Infinity = all) or the
+// search window is exhausted. `onProgress({ fetched, total })` fires after every page.
+export async function fetchPaged({ host, token, path, params = {}, itemsKey, limit = Infinity, onProgress }) {
+  const ps = Math.min(limit, MAX_PAGE_SIZE)
+  const items = []
+  let first
+  let total = 0
+  for (let p = 1; items.length < limit; p++) {
+    const data = await apiRequest({ host, token, path, params: { ...params, p, ps } })
+    if (!first) first = data
+    total = readPaging(data).total
+    const page = data[itemsKey] || []
+    items.push(...page)
+    if (onProgress) onProgress({ fetched: items.length, total })
+    if (page.length < ps || p * ps >= total || (p + 1) * ps > SEARCH_WINDOW) break
+  }
+  return {
+    data: first || {},
+    items: items.slice(0, limit),
+    total,
+    truncated: Math.min(limit, total) > SEARCH_WINDOW,
+  }
+}
+
+export const CLEAN_CODE_FACETS = "impactSoftwareQualities,impactSeverities,cleanCodeAttributeCategories"
+
+// Fetch aggregated issues facets (summary). Default facets: severities,types,statuses, plus the
+// Clean Code taxonomy facets when `cleanCodeTaxonomy` is set (SonarQube 10.2+)
+// `component` narrows the count to a directory or file key inside the project; the other
+// filters are passed through as-is (all optional).
+export async function fetchIssuesSummary({ host, token, project, component, branch, pullRequest, facets, severities, types, statuses, resolved, impactSeverities, softwareQualities, cleanCodeAttributeCategories, rules, tags, assignees, cleanCodeTaxonomy }) {
+  const facetList =
+    (facets && facets.trim()) || (cleanCodeTaxonomy ? `severities,types,statuses,${CLEAN_CODE_FACETS}` : "severities,types,statuses")
   const data = await apiRequest({
     host,
     token,
     path: "/api/issues/search",
     params: {
-      componentKeys: project,
+      componentKeys: component || project,
       p: 1,
       ps: 1, // we don't need the list, just facets
       facets: facetList,
-      ...(branch ? { branch } : {}),
+      ...(pullRequest ? { pullRequest } : branch ? { branch } : {}),
+      ...(severities ? { severities } : {}),
+      ...(types ? { types } : {}),
+      ...(statuses ? { statuses } : {}),
+      ...(resolved !== undefined ? { resolved } : {}),
+      ...(impactSeverities ? { impactSeverities } : {}),
+      ...(softwareQualities ? { impactSoftwareQualities: softwareQualities } : {}),
+      ...(cleanCodeAttributeCategories ? { cleanCodeAttributeCategories } : {}),
+      ...(rules ? { rules } : {}),
+      ...(tags ? { tags } : {}),
+      ...(assignees ? { assignees } : {}),
     },
   })
   const outFacets = {}
@@ -32,7 +193,7 @@ export async function fetchIssuesSummary({ host, token, project, branch, facets
     }
   }
   const total = data.paging?.total ?? data.total ?? 0
-  return { projectKey: project, branch, total, facets: outFacets, requestedFacets: facetList.split(",") }
+  return { projectKey: project, branch, pullRequest, total, facets: outFacets, requestedFacets: facetList.split(",") }
 }
 
 export async function fetchIssue({ host, token, issueKey }) {
@@ -40,29 +201,186 @@ export async function fetchIssue({ host, token, issueKey }) {
   return data.issue || null
 }
 
-export async function fetchHotspots({ host, token, project, branch, status, severity, limit = 50 }) {
-  const params = { projectKey: project, p: 1, ps: Math.min(limit, 500) }
-  if (branch) params.branch = branch
-  if (status) params.status = status
-  if (severity) params.severity = severity
-  const data = await apiRequest({ host, token, path: "/api/hotspots/search", params })
-  return { projectKey: project, branch, hotspots: data.hotspots || [], paging: data.paging }
+// Write endpoints take form-encoded bodies; undefined values are left out
+function postForm({ host, token, path, form }) {
+  const body = new URLSearchParams()
+  for (const [k, v] of Object.entries(form)) {
+    if (v !== undefined && v !== null) body.append(k, String(v))
+  }
+  return apiRequest({ host, token, path, method: "POST", data: body })
+}
+
+export const ISSUE_TRANSITIONS = ["confirm", "unconfirm", "reopen", "resolve", "falsepositive", "wontfix", "close", "accept"]
+
+export async function transitionIssue({ host, token, issueKey, transition }) {
+  const data = await postForm({ host, token, path: "/api/issues/do_transition", form: { issue: issueKey, transition } })
+  return data.issue || null
+}
+
+// Omit assignee to unassign
+export async function assignIssue({ host, token, issueKey, assignee }) {
+  const data = await postForm({ host, token, path: "/api/issues/assign", form: { issue: issueKey, assignee } })
+  return data.issue || null
+}
+
+export async function addIssueComment({ host, token, issueKey, text }) {
+  const data = await postForm({ host, token, path: "/api/issues/add_comment", form: { issue: issueKey, text } })
+  return data.issue || null
+}
+
+// Replaces the issue's tags; an empty list clears them
+export async function setIssueTags({ host, token, issueKey, tags }) {
+  const list = Array.isArray(tags) ? tags.join(",") : tags || ""
+  const data = await postForm({ host, token, path: "/api/issues/set_tags", form: { issue: issueKey, tags: list } })
+  return data.issue || null
+}
+
+export async function setIssueSeverity({ host, token, issueKey, severity }) {
+  const data = await postForm({ host, token, path: "/api/issues/set_severity", form: { issue: issueKey, severity } })
+  return data.issue || null
+}
+
+export async function fetchCurrentUser({ host, token }) {
+  return apiRequest({ host, token, path: "/api/users/current" })
+}
+
+// Users whose login, name or email contain `query`
+export async function searchUsers({ host, token, query }) {
+  const data = await apiRequest({ host, token, path: "/api/users/search", params: { q: query, ps: 50 } })
+  return data.users || []
+}
+
+// bulk_change accepts at most 500 keys per call, so larger sets are sent in chunks.
+// Returns the summed { total, success, ignored, failures } counters.
+export async function bulkChangeIssues({ host, token, issueKeys, transition, assign, severity, type, addTags, removeTags, comment, sendNotifications = false }) {
+  const out = { total: 0, success: 0, ignored: 0, failures: 0 }
+  for (let i = 0; i < issueKeys.length; i += MAX_PAGE_SIZE) {
+    const data = await postForm({
+      host,
+      token,
+      path: "/api/issues/bulk_change",
+      form: {
+        issues: issueKeys.slice(i, i + MAX_PAGE_SIZE).join(","),
+        do_transition: transition,
+        assign,
+        set_severity: severity,
+        set_type: type,
+        add_tags: addTags,
+        remove_tags: removeTags,
+        comment,
+        sendNotifications,
+      },
+    })
+    for (const k of Object.keys(out)) out[k] += data[k] || 0
+  }
+  return out
+}
+
+// bulk_change only comments the issues another action of the same call changes, so a comment on
+// its own goes through add_comment, one call per issue. Same counts as bulkChangeIssues.
+export async function commentIssues({ host, token, issueKeys, text }) {
+  const results = await Promise.allSettled(issueKeys.map((issueKey) => addIssueComment({ host, token, issueKey, text })))
+  const failures = results.filter((r) => r.status === "rejected").length
+  return { total: issueKeys.length, success: issueKeys.length - failures, ignored: 0, failures }
+}
+
+export async function fetchHotspots({ host, token, project, branch, pullRequest, status, severity, limit = 50, onProgress }) {
+  const params = { projectKey: project }
+  if (pullRequest) params.pullRequest = pullRequest
+  else if (branch) params.branch = branch
+  // hotspots/search cannot filter on vulnerability probability: fetch everything, filter here
+  const wanted = severity ? Infinity : limit
+  const path = "/api/hotspots/search"
+  const first = await fetchPaged({ host, token, path, params: status ? { ...params, status } : params, itemsKey: "hotspots", limit: wanted, onProgress })
+  let hotspots = first.items
+  let truncated = first.truncated
+  // Past the search window, split by status: each half gets its own 10k window
+  if (truncated && !status) {
+    hotspots = []
+    truncated = false
+    for (const s of ["TO_REVIEW", "REVIEWED"]) {
+      if (hotspots.length >= wanted) break
+      const part = await fetchPaged({ host, token, path, params: { ...params, status: s }, itemsKey: "hotspots", limit: wanted - hotspots.length, onProgress })
+      hotspots.push(...part.items)
+      truncated = truncated || part.truncated
+    }
+  }
+  if (severity) hotspots = hotspots.filter((h) => h.vulnerabilityProbability === severity.toUpperCase())
+  const total = severity ? hotspots.length : first.total
+  hotspots = hotspots.slice(0, limit)
+  return {
+    projectKey: project,
+    branch,
+    pullRequest,
+    hotspots,
+    paging: { pageIndex: 1, pageSize: hotspots.length, total },
+    truncated,
+  }
 }
 
 export async function fetchHotspot({ host, token, hotspotKey }) {
   const data = await apiRequest({ host, token, path: "/api/hotspots/show", params: { hotspot: hotspotKey } })
-  return data.hotspot || null
+  const hotspot = data.hotspot || null
+  // hotspots/show nests the probability under `rule`, hotspots/search has it top-level
+  if (hotspot && !hotspot.vulnerabilityProbability && hotspot.rule?.vulnerabilityProbability) {
+    hotspot.vulnerabilityProbability = hotspot.rule.vulnerabilityProbability
+  }
+  return hotspot
 }
 
-export async function fetchRules({ host, token, query, languages, tags, repository, activeSeverities, limit = 50 }) {
-  const params = { p: 1, ps: Math.min(limit, 500) }
+export const HOTSPOT_RESOLUTIONS = ["FIXED", "SAFE", "ACKNOWLEDGED"]
+
+// status REVIEWED requires a resolution; TO_REVIEW must not have one
+export async function changeHotspotStatus({ host, token, hotspotKey, status, resolution, comment }) {
+  await postForm({
+    host,
+    token,
+    path: "/api/hotspots/change_status",
+    form: { hotspot: hotspotKey, status, resolution: status === "REVIEWED" ? resolution : undefined, comment },
+  })
+}
+
+export async function addHotspotComment({ host, token, hotspotKey, comment }) {
+  await postForm({ host, token, path: "/api/hotspots/add_comment", form: { hotspot: hotspotKey, comment } })
+}
+
+// Omit assignee to unassign
+export async function assignHotspot({ host, token, hotspotKey, assignee, comment }) {
+  await postForm({ host, token, path: "/api/hotspots/assign", form: { hotspot: hotspotKey, assignee, comment } })
+}
+
+export async function fetchRules({ host, token, query, languages, tags, repository, activeSeverities, limit = 50, onProgress }) {
+  const params = {}
   if (query) params.q = query
   if (languages) params.languages = languages
   if (tags) params.tags = tags
   if (repository) params.repositories = repository
   if (activeSeverities) params.severities = activeSeverities
-  const data = await apiRequest({ host, token, path: "/api/rules/search", params })
-  return { rules: data.rules || [], paging: data.paging }
+  const path = "/api/rules/search"
+  const first = await fetchPaged({
+    host,
+    token,
+    path,
+    params: languages ? params : { ...params, facets: "languages" },
+    itemsKey: "rules",
+    limit,
+    onProgress,
+  })
+  let rules = first.items
+  let truncated = first.truncated
+  // Past the search window, split by language facet values
+  if (truncated && !languages) {
+    const langs = (first.data.facets || []).find((f) => f.property === "languages")?.values || []
+    rules = []
+    truncated = false
+    for (const { val } of langs) {
+      if (rules.length >= limit) break
+      const part = await fetchPaged({ host, token, path, params: { ...params, languages: val }, itemsKey: "rules", limit: limit - rules.length, onProgress })
+      rules.push(...part.items)
+      truncated = truncated || part.truncated
+    }
+  }
+  return { rules, paging: { pageIndex: 1, pageSize: rules.length, total: first.total }, truncated }
 }
 
 export async function fetchRule({ host, token, key }) {
@@ -70,43 +388,53 @@ export async function fetchRule({ host, token, key }) {
   return data.rule || null
 }
 
-export async function fetchMeasures({ host, token, component, metricKeys, branch }) {
+export async function fetchMeasures({ host, token, component, metricKeys, branch, pullRequest }) {
   const params = { component, metricKeys: Array.isArray(metricKeys) ? metricKeys.join(',') : metricKeys }
-  if (branch) params.branch = branch
+  if (pullRequest) params.pullRequest = pullRequest
+  else if (branch) params.branch = branch
   const data = await apiRequest({ host, token, path: "/api/measures/component", params })
   return data.component || null
 }
 
-export async function fetchMeasuresHistory({ host, token, component, metrics, branch, from, to, pageSize = 100 }) {
+export async function fetchMeasuresHistory({ host, token, component, metrics, branch, pullRequest, from, to, pageSize = 100 }) {
   const params = {
     component,
     metrics: Array.isArray(metrics) ? metrics.join(',') : metrics,
     ps: Math.min(pageSize, 500),
   }
-  if (branch) params.branch = branch
+  if (pullRequest) params.pullRequest = pullRequest
+  else if (branch) params.branch = branch
   if (from) params.from = from
   if (to) params.to = to
   const data = await apiRequest({ host, token, path: "/api/measures/search_history", params })
   return data || {}
 }
 
-export async function fetchComponentTree({ host, token, component, branch, qualifiers = 'FIL', metricKeys, strategy = 'leaves', pageSize = 100 }) {
+// metricSort: highest values of that metric first, components without a value left out
+export async function fetchComponentTree({ host, token, component, branch, pullRequest, qualifiers = 'FIL', metricKeys, strategy = 'leaves', metricSort, pageSize = 100, onProgress }) {
   const params = {
     component,
     qualifiers,
     strategy,
-    ps: Math.min(pageSize, 500),
   }
   if (metricKeys) params.metricKeys = Array.isArray(metricKeys) ? metricKeys.join(',') : metricKeys
-  if (branch) params.branch = branch
-  const data = await apiRequest({ host, token, path: "/api/components/tree", params })
-  return data || {}
+  if (metricSort) Object.assign(params, { s: 'metric', metricSort, asc: false, metricSortFilter: 'withMeasuresOnly' })
+  if (pullRequest) params.pullRequest = pullRequest
+  else if (branch) params.branch = branch
+  const res = await fetchPaged({ host, token, path: "/api/components/tree", params, itemsKey: "components", limit: pageSize, onProgress })
+  return {
+    ...res.data,
+    components: res.items,
+    paging: { pageIndex: 1, pageSize: res.items.length, total: res.total },
+    truncated: res.truncated,
+  }
 }
 
-export async function fetchDuplications({ host, token, project, branch, fileKey }) {
+export async function fetchDuplications({ host, token, project, branch, pullRequest, fileKey }) {
   if (!fileKey) throw new Error('fileKey required for duplications')
   const params = { key: fileKey }
-  if (branch) params.branch = branch
+  if (pullRequest) params.pullRequest = pullRequest
+  else if (branch) params.branch = branch
   const data = await apiRequest({ host, token, path: "/api/duplications/show", params })
   return data || {}
 }
@@ -119,7 +447,29 @@ export async function fetchQualityProfiles({ host, token, language, project }) {
   return data.profiles || []
 }
 
-export async function fetchQualityGate({ host, token, project }) {
-  const data = await apiRequest({ host, token, path: "/api/qualitygates/project_status", params: { projectKey: project } })
+// With `analysisId` the gate is evaluated for that exact analysis (project/branch are ignored)
+export async function fetchQualityGate({ host, token, project, branch, pullRequest, analysisId }) {
+  const params = analysisId ? { analysisId } : { projectKey: project }
+  if (!analysisId && pullRequest) params.pullRequest = pullRequest
+  else if (!analysisId && branch) params.branch = branch
+  const data = await apiRequest({ host, token, path: "/api/qualitygates/project_status", params })
   return data.projectStatus || null
 }
+
+export async function fetchCeTask({ host, token, taskId }) {
+  const data = await apiRequest({ host, token, path: "/api/ce/task", params: { id: taskId } })
+  return data.task || null
+}
+
+// Poll a background (Compute Engine) task until it leaves PENDING / IN_PROGRESS.
+// Resolves { task, timedOut }; `onPoll(task)` fires after each poll.
+export async function waitForCeTask({ host, token, taskId, timeoutMs = 300000, intervalMs = 5000, onPoll }) {
+  const deadline = Date.now() + timeoutMs
+  for (;;) {
+    const task = await fetchCeTask({ host, token, taskId })
+    if (onPoll) onPoll(task)
+    if (task && !["PENDING", "IN_PROGRESS"].includes(task.status)) return { task, timedOut: false }
+    if (Date.now() + intervalMs > deadline) return { task, timedOut: true }
+    await sleep(intervalMs)
+  }
+}
@@ -1,9 +1,26 @@
 import axios from "axios"
-import { apiRequest } from "./api-helpers.js"
+import { apiRequest, fetchPaged, readPaging, SEARCH_WINDOW } from "./api-helpers.js"
 
-export async function getProjectStatus({ token, host, project, branch }) {
+const NEW_CODE_METRICS = [
+  "new_coverage",
+  "new_bugs",
+  "new_vulnerabilities",
+  "new_code_smells",
+  "new_duplicated_lines_density",
+]
+const PROJECT_METRICS = [
+  "bugs",
+  "vulnerabilities",
+  "code_smells",
+  "coverage",
+  "duplicated_lines_density",
+]
+
+// newCode: new code period metrics instead of overall ones, plus the period definition
+export async function getProjectStatus({ token, host, project, branch, pullRequest, newCode = false, extraMetricKeys = [] }) {
   const gateParams = { projectKey: project }
-  if (branch) gateParams.branch = branch
+  if (pullRequest) gateParams.pullRequest = pullRequest
+  else if (branch) gateParams.branch = branch
   const gateRes = await apiRequest({
     host,
     token,
@@ -11,15 +28,11 @@ export async function getProjectStatus({ token, host, project, branch }) {
     params: gateParams,
   })
 
-  const metricKeys = [
-    "bugs",
-    "vulnerabilities",
-    "code_smells",
-    "coverage",
-    "duplicated_lines_density",
-  ].join(",")
+  const metricKeys = [...new Set([...(newCode ? NEW_CODE_METRICS : PROJECT_METRICS), ...extraMetricKeys])].join(",")
   const measureParams = { component: project, metricKeys }
-  if (branch) measureParams.branch = branch
+  if (newCode) measureParams.additionalFields = "period"
+  if (pullRequest) measureParams.pullRequest = pullRequest
+  else if (branch) measureParams.branch = branch
   const metricRes = await apiRequest({
     host,
     token,
@@ -29,36 +42,185 @@ export async function getProjectStatus({ token, host, project, branch }) {
 
   const qualityGate = gateRes.projectStatus || {}
   if (!qualityGate.project) qualityGate.project = project
-  return {
-    projectKey: project,
-    branch,
-    qualityGate,
-    metrics: metricRes.component?.measures || [],
-  }
+  // New code values live under `period` (8.x+) or `periods[0]` (older servers)
+  const metrics = (metricRes.component?.measures || []).map((m) =>
+    m.value !== undefined ? m : { ...m, value: m.period?.value ?? m.periods?.[0]?.value },
+  )
+  const result = { projectKey: project, branch, pullRequest, qualityGate, metrics }
+  if (newCode) result.period = metricRes.period || metricRes.periods?.[0] || null
+  return result
 }
 
-export async function getIssues({
-  token,
-  host,
+function issueSearchParams({
   project,
   branch,
+  pullRequest,
   severities,
   types,
   statuses,
-  limit = 10,
+  impactSeverities,
+  softwareQualities,
+  cleanCodeAttributeCategories,
+  inNewCodePeriod,
+  componentKeys,
+  rules,
+  tags,
+  assignees,
+  issueKeys,
 }) {
-  const params = { componentKeys: project, p: 1, ps: Math.min(limit, 500) }
-  if (branch) params.branch = branch
+  const params = { componentKeys: componentKeys || project }
+  if (inNewCodePeriod) params.inNewCodePeriod = true
+  if (pullRequest) params.pullRequest = pullRequest
+  else if (branch) params.branch = branch
   if (severities) params.severities = severities
   if (types) params.types = types
   if (statuses) params.statuses = statuses
+  if (impactSeverities) params.impactSeverities = impactSeverities
+  if (softwareQualities) params.impactSoftwareQualities = softwareQualities
+  if (cleanCodeAttributeCategories) params.cleanCodeAttributeCategories = cleanCodeAttributeCategories
+  if (rules) params.rules = rules
+  if (tags) params.tags = tags
+  if (assignees) params.assignees = assignees
+  if (issueKeys) params.issues = issueKeys
+  return params
+}
 
-  const res = await apiRequest({ host, token, path: "/api/issues/search", params })
+export async function getIssues({ token, host, limit = 10, onProgress, onSplit, ...query }) {
+  const { project, branch, pullRequest, inNewCodePeriod } = query
+  const params = issueSearchParams(query)
+
+  const first = await fetchPaged({
+    host,
+    token,
+    path: "/api/issues/search",
+    params,
+    itemsKey: "issues",
+    limit,
+    onProgress,
+  })
+  let issues = first.items
+  let truncated = first.truncated
+  // The server refuses createdAfter together with inNewCodePeriod, so no date split there
+  if (truncated && !inNewCodePeriod) {
+    // Past the 10k search window: re-run the query over creation-date windows small enough
+    // to fit, bisecting until each one does.
+    const found = []
+    const progress = onProgress
+      ? ({ fetched }) => onProgress({ fetched: found.length + fetched, total: first.total })
+      : undefined
+    const from = await earliestIssueDate({ host, token, params })
+    const windows = [[from, new Date(Date.now() + 1000)]]
+    truncated = false
+    while (windows.length && found.length < limit) {
+      const [after, before] = windows.shift()
+      const windowParams = { ...params, createdAfter: sonarDate(after), createdBefore: sonarDate(before) }
+      const probe = await apiRequest({ host, token, path: "/api/issues/search", params: { ...windowParams, p: 1, ps: 1 } })
+      const count = readPaging(probe).total
+      if (!count) continue
+      if (count > SEARCH_WINDOW && before - after > 1000) {
+        const mid = new Date(after.getTime() + Math.floor((before - after) / 2000) * 1000)
+        if (onSplit) onSplit({ after, before, count })
+        windows.unshift([after, mid], [mid, before])
+        continue
+      }
+      const part = await fetchPaged({
+        host,
+        token,
+        path: "/api/issues/search",
+        params: windowParams,
+        itemsKey: "issues",
+        limit: limit - found.length,
+        onProgress: progress,
+      })
+      found.push(...part.items)
+      truncated = truncated || part.truncated
+    }
+    issues = found
+  }
   return {
     projectKey: project,
     branch,
-    paging: res.paging,
-    issues: (res.issues || []).slice(0, limit),
+    pullRequest,
+    paging: { pageIndex: 1, pageSize: issues.length, total: first.total },
+    truncated,
+    issues: issues.slice(0, limit),
+  }
+}
+
+// One page of the same query, for callers that load lazily (the TUI). Pages past the 10k search
+// window are refused by the server; `paging.reachable` says how many issues can be paged to.
+export async function getIssuesPage({ token, host, page = 1, pageSize = 100, ...query }) {
+  const data = await apiRequest({
+    host,
+    token,
+    path: "/api/issues/search",
+    params: { ...issueSearchParams(query), p: page, ps: pageSize },
+  })
+  const total = readPaging(data).total
+  return {
+    projectKey: query.project,
+    branch: query.branch,
+    pullRequest: query.pullRequest,
+    paging: { pageIndex: page, pageSize, total, reachable: Math.min(total, SEARCH_WINDOW) },
+    issues: data.issues || [],
+  }
+}
+
+// /api/issues/search has no free-text parameter, so the TUI's server search maps the text to the
+// filter it looks like: a file or directory path, a rule key, an issue key, otherwise a tag.
+export function textSearchFilters(text, project) {
+  const t = text.trim()
+  if (t.startsWith(`${project}:`)) return { kind: "file", filters: { componentKeys: t } }
+  if (t.includes("/") || /\.\w+$/.test(t)) return { kind: "file", filters: { componentKeys: `${project}:${t.replace(/^\.?\/+/, "")}` } }
+  if (/^[\w.-]+:[\w.-]+$/.test(t)) return { kind: "rule", filters: { rules: t } }
+  if (/^(?=.*\d)[\w-]{20,}$/.test(t)) return { kind: "issue", filters: { issueKeys: t } }
+  return { kind: "tag", filters: { tags: t.toLowerCase() } }
+}
+
+async function earliestIssueDate({ host, token, params }) {
+  const res = await apiRequest({
+    host,
+    token,
+    path: "/api/issues/search",
+    params: { ...params, p: 1, ps: 1, s: "CREATION_DATE", asc: true },
+  })
+  const created = res.issues?.[0]?.creationDate
+  // Round down to the second: createdAfter is inclusive, sonarDate drops milliseconds
+  return created ? new Date(Math.floor(new Date(created).getTime() / 1000) * 1000) : new Date(0)
+}
+
+// SonarQube datetime params accept `yyyy-MM-ddTHH:mm:ss+hhmm`, no milliseconds
+function sonarDate(d) {
+  return d.toISOString().replace(/\.\d{3}Z$/, "+0000")
+}
+
+// File keys per request, so the query string stays well under URL length limits
+const COMPONENTS_PER_QUERY = 50
+
+// getIssues restricted to the given component keys (files or directories), one request batch
+// per chunk. An empty list means no issues, not the whole project.
+export async function getIssuesInComponents({ components, limit = 10, ...query }) {
+  const issues = []
+  let total = 0
+  let truncated = false
+  for (let i = 0; i < components.length; i += COMPONENTS_PER_QUERY) {
+    const part = await getIssues({
+      ...query,
+      componentKeys: components.slice(i, i + COMPONENTS_PER_QUERY).join(","),
+      // once the limit is reached, later chunks are only counted
+      limit: Math.max(limit - issues.length, 1),
+    })
+    issues.push(...part.issues)
+    total += part.paging.total
+    truncated = truncated || part.truncated
+  }
+  return {
+    projectKey: query.project,
+    branch: query.branch,
+    pullRequest: query.pullRequest,
+    paging: { pageIndex: 1, pageSize: Math.min(issues.length, limit), total },
+    truncated,
+    issues: issues.slice(0, limit),
   }
 }
 
@@ -111,3 +273,17 @@ export async function getBranches({ token, host, project }) {
     return []
   }
 }
+
+export async function getPullRequests({ token, host, project }) {
+  try {
+    const res = await apiRequest({
+      host,
+      token,
+      path: "/api/project_pull_requests/list",
+      params: { project },
+    })
+    return res.pullRequests || []
+  } catch {
+    return []
+  }
+}
@@ -0,0 +1,154 @@
+import fs from "fs"
+import path from "path"
+import os from "os"
+import crypto from "crypto"
+
+// Seconds a cached GET response stays fresh, per endpoint. Anything else: DEFAULT_TTL.
+export const DEFAULT_TTL = 300
+export const ENDPOINT_TTL = {
+  "/api/ce/task": 0, // polled by `gate check`, must always be live
+  "/api/issues/search": 60,
+  "/api/issues/show": 60,
+  "/api/hotspots/search": 60,
+  "/api/hotspots/show": 60,
+  "/api/qualitygates/project_status": 60,
+  "/api/measures/component": 300,
+  "/api/measures/search_history": 3600,
+  "/api/components/tree": 300,
+  "/api/project_branches/list": 600,
+  "/api/sources/raw": 3600,
+  "/api/sources/show": 3600,
+  "/api/duplications/show": 3600,
+  "/api/rules/search": 86400,
+  "/api/rules/show": 86400,
+  "/api/qualityprofiles/search": 3600,
+  "/api/server/version": 86400,
+  "/api/navigation/global": 86400,
+  // who "me" is and the assignee picker must follow the current token and user list
+  "/api/users/current": 0,
+  "/api/users/search": 0,
+}
+
+let cacheSettings = { enabled: false, offline: false, ttl: {}, dir: undefined }
+
+export function cacheDir() {
+  if (cacheSettings.dir) return cacheSettings.dir
+  const xdgBase = process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache")
+  return path.join(xdgBase, "sonarqube-dash-cli")
+}
+
+// enabled: read/write the cache (opt-in: true, "true" or "1"); offline: serve only cached data
+// (stale included) and never touch the network; ttl: per-endpoint overrides in seconds,
+// e.g. { "/api/rules/show": 600 }
+export function configureCache({ enabled, offline, ttl, dir } = {}) {
+  cacheSettings = {
+    enabled: enabled === true || enabled === "true" || enabled === "1",
+    offline: Boolean(offline),
+    ttl: ttl && typeof ttl === "object" ? ttl : {},
+    dir,
+  }
+  return cacheSettings
+}
+
+export function isOffline() {
+  return cacheSettings.offline
+}
+
+// Reversible so `cache stats` can report hosts and endpoints by name
+function slug(str) {
+  return encodeURIComponent(str.replace(/\/$/, ""))
+}
+
+// Responses depend on who asks (permissions, /api/users/current), so entries are kept apart per
+// token. Only a hash of it is stored.
+function tokenScope(token) {
+  return crypto.createHash("sha256").update(`token:${token || ""}`).digest("hex").slice(0, 16)
+}
+
+// One directory per host, token and endpoint, one file per (sorted) param set
+function entryPath(host, token, apiPath, params) {
+  const sorted = Object.keys(params || {})
+    .sort()
+    .map((k) => [k, params[k]])
+  const hash = crypto.createHash("sha256").update(JSON.stringify(sorted)).digest("hex").slice(0, 32)
+  return path.join(cacheDir(), slug(host), tokenScope(token), slug(apiPath), hash + ".json")
+}
+
+function ttlFor(apiPath) {
+  const override = Number(cacheSettings.ttl[apiPath])
+  if (Number.isFinite(override)) return override
+  return ENDPOINT_TTL[apiPath] ?? DEFAULT_TTL
+}
+
+// Returns { data } on a hit, undefined on a miss. Offline mode ignores expiry.
+export function readCache(host, token, apiPath, params) {
+  if (!cacheSettings.enabled && !cacheSettings.offline) return undefined
+  const file = entryPath(host, token, apiPath, params)
+  try {
+    const stat = fs.statSync(file)
+    const fresh = Date.now() - stat.mtimeMs < ttlFor(apiPath) * 1000
+    if (!fresh && !cacheSettings.offline) return undefined
+    return { data: JSON.parse(fs.readFileSync(file, "utf8")) }
+  } catch {
+    return undefined
+  }
+}
+
+// Private to the user: entries can hold source code and anything else the token may read
+export function writeCache(host, token, apiPath, params, data) {
+  if (!cacheSettings.enabled || cacheSettings.offline) return
+  const file = entryPath(host, token, apiPath, params)
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 })
+    fs.writeFileSync(file, JSON.stringify(data), { encoding: "utf8", mode: 0o600 })
+  } catch {
+    // cache is best-effort
+  }
+}
+
+// Drop every cached response for a host, whatever the token (used after write calls change
+// server state). Nothing to do, and no directory walk, while the cache is off.
+export function invalidateHost(host) {
+  if (!cacheSettings.enabled) return
+  fs.rmSync(path.join(cacheDir(), slug(host)), { recursive: true, force: true })
+}
+
+export function clearCache() {
+  const { entries, bytes } = cacheStats()
+  fs.rmSync(cacheDir(), { recursive: true, force: true })
+  return { entries, bytes }
+}
+
+export function cacheStats() {
+  const dir = cacheDir()
+  const out = { dir, entries: 0, bytes: 0, expired: 0, hosts: {} }
+  if (!fs.existsSync(dir)) return out
+  for (const host of fs.readdirSync(dir)) {
+    const hostDir = path.join(dir, host)
+    if (!fs.statSync(hostDir).isDirectory()) continue
+    const endpoints = {}
+    // Endpoints are summed over the token directories
+    for (const scope of fs.readdirSync(hostDir)) {
+      const scopeDir = path.join(hostDir, scope)
+      if (!fs.statSync(scopeDir).isDirectory()) continue
+      for (const endpoint of fs.readdirSync(scopeDir)) {
+        const endpointDir = path.join(scopeDir, endpoint)
+        if (!fs.statSync(endpointDir).isDirectory()) continue
+        const apiPath = decodeURIComponent(endpoint)
+        const files = fs.readdirSync(endpointDir)
+        let bytes = 0
+        for (const f of files) {
+          const stat = fs.statSync(path.join(endpointDir, f))
+          bytes += stat.size
+          if (Date.now() - stat.mtimeMs >= ttlFor(apiPath) * 1000) out.expired++
+        }
+        const seen = endpoints[apiPath] || { entries: 0, bytes: 0 }
+        endpoints[apiPath] = { entries: seen.entries + files.length, bytes: seen.bytes + bytes }
+        out.entries += files.length
+        out.bytes += bytes
+      }
+    }
+    out.hosts[decodeURIComponent(host)] = endpoints
+  }
+  return out
+}
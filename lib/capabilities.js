@@ -0,0 +1,63 @@
+import { apiRequest, isSonarCloud } from "./api-helpers.js"
+
+// Raised when the server edition / version cannot serve a request
+export class UnsupportedError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "UnsupportedError"
+  }
+}
+
+const probes = new Map()
+
+// Probe once per host and process; the responses themselves go through the on-disk cache.
+export function getCapabilities({ host, token }) {
+  const key = host.replace(/\/$/, "")
+  if (!probes.has(key)) probes.set(key, probeServer({ host, token }))
+  return probes.get(key)
+}
+
+async function probeServer({ host, token }) {
+  // SonarCloud has no editions and always runs the latest API
+  if (isSonarCloud(host)) {
+    return { version: undefined, major: 0, minor: 0, edition: "sonarcloud", branches: true, pullRequests: true, hotspotsApi: true, cleanCodeTaxonomy: true }
+  }
+  const [version, nav] = await Promise.all([
+    apiRequest({ host, token, path: "/api/server/version" }).catch(() => undefined),
+    apiRequest({ host, token, path: "/api/navigation/global" }).catch(() => ({})),
+  ])
+  const raw = String(nav.version || version || "").trim()
+  const [major = 0, minor = 0] = raw.split(".").map((n) => parseInt(n, 10) || 0)
+  const known = Boolean(raw)
+  const atLeast = (maj, min = 0) => major > maj || (major === maj && minor >= min)
+  const edition = nav.edition ? String(nav.edition).toLowerCase() : undefined
+  const community = edition === "community"
+  // Unknown server (probe failed / offline): assume everything is there and let the API decide
+  return {
+    version: known ? raw : undefined,
+    major,
+    minor,
+    edition,
+    branches: !community,
+    pullRequests: !community,
+    hotspotsApi: !known || atLeast(8, 2),
+    cleanCodeTaxonomy: !known || atLeast(10, 2),
+  }
+}
+
+export function describeServer(caps) {
+  if (caps.edition === "sonarcloud") return "SonarCloud"
+  const edition = caps.edition ? caps.edition.charAt(0).toUpperCase() + caps.edition.slice(1) + " Edition" : "this server"
+  return caps.version ? `${edition} (version ${caps.version})` : edition
+}
+
+const FEATURES = {
+  branches: "Branch analysis",
+  pullRequests: "Pull request analysis",
+  hotspotsApi: "The security hotspots API (SonarQube 8.2+)",
+  cleanCodeTaxonomy: "Clean Code taxonomy (SonarQube 10.2+)",
+}
+
+export function requireCapability(caps, feature) {
+  if (!caps[feature]) throw new UnsupportedError(`${FEATURES[feature]} is not supported on ${describeServer(caps)}`)
+}
@@ -0,0 +1,151 @@
+import crypto from "crypto"
+import { componentPath } from "./sarif.js"
+
+const IMPACT_RANK = ["INFO", "LOW", "MEDIUM", "HIGH", "BLOCKER"]
+
+// Code Climate knows info, minor, major, critical and blocker
+const CODECLIMATE_SEVERITIES = {
+  BLOCKER: "blocker",
+  CRITICAL: "critical",
+  HIGH: "critical",
+  MAJOR: "major",
+  MEDIUM: "major",
+  MINOR: "minor",
+  LOW: "minor",
+  INFO: "info",
+}
+const CODECLIMATE_CATEGORIES = { BUG: "Bug Risk", VULNERABILITY: "Security", SECURITY_HOTSPOT: "Security", CODE_SMELL: "Clarity" }
+
+// Worst Clean Code impact when present, legacy severity otherwise
+function effectiveSeverity(issue) {
+  if (!issue.impacts?.length) return issue.severity
+  return issue.impacts.map((i) => i.severity).sort((a, b) => IMPACT_RANK.indexOf(b) - IMPACT_RANK.indexOf(a))[0]
+}
+
+// GitLab diffs a merge request's report against the target branch's, and issue keys differ
+// between branches, so the fingerprint is built from what survives a merge (as issueSignature in
+// compare.js): the rule, the repository path and the line hash, or the message for file-level
+// issues. `occurrence` tells apart identical findings in the same file.
+export function issueFingerprint(issue, filePath, occurrence = 0) {
+  const parts = ["sonar", issue.rule, filePath, issue.hash || issue.message || ""]
+  if (occurrence) parts.push(occurrence)
+  return crypto.createHash("md5").update(parts.join("|")).digest("hex")
+}
+
+// Files outside any source path (project-level issues) are reported against the project root
+function issuePath(issue, projectKey, srcRoot) {
+  return componentPath(issue.component, projectKey, srcRoot) || srcRoot || "."
+}
+
+// Fingerprints for one report: the nth identical finding gets occurrence n
+function fingerprinter(projectKey, srcRoot) {
+  const seen = new Map()
+  return (issue) => {
+    const filePath = issuePath(issue, projectKey, srcRoot)
+    const base = issueFingerprint(issue, filePath)
+    const occurrence = seen.get(base) || 0
+    seen.set(base, occurrence + 1)
+    return occurrence ? issueFingerprint(issue, filePath, occurrence) : base
+  }
+}
+
+// GitLab Code Quality report: a JSON array in the Code Climate issue format
+export function buildCodeClimate({ projectKey, issues, srcRoot }) {
+  const fingerprint = fingerprinter(projectKey, srcRoot)
+  return issues.map((issue) => {
+    const begin = issue.textRange?.startLine || issue.line || 1
+    return {
+      type: "issue",
+      check_name: issue.rule,
+      description: issue.message || "(no message)",
+      categories: [CODECLIMATE_CATEGORIES[issue.type] || "Clarity"],
+      severity: CODECLIMATE_SEVERITIES[effectiveSeverity(issue)] || "major",
+      fingerprint: fingerprint(issue),
+      location: {
+        path: issuePath(issue, projectKey, srcRoot),
+        lines: { begin, end: issue.textRange?.endLine || begin },
+      },
+    }
+  })
+}
+
+function xmlEscape(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+}
+
+function testcase({ name, classname, failure }) {
+  const open = `    <testcase name="${xmlEscape(name)}" classname="${xmlEscape(classname)}"`
+  if (!failure) return `${open}/>`
+  return [
+    `${open}>`,
+    `      <failure message="${xmlEscape(failure.message)}" type="${xmlEscape(failure.type)}">${xmlEscape(failure.body)}</failure>`,
+    "    </testcase>",
+  ].join("\n")
+}
+
+function testsuite({ name, cases }) {
+  const failures = cases.filter((c) => c.failure).length
+  return [
+    `  <testsuite name="${xmlEscape(name)}" tests="${cases.length}" failures="${failures}" errors="0" skipped="0">`,
+    ...cases.map(testcase),
+    "  </testsuite>",
+  ].join("\n")
+}
+
+// JUnit XML: one "Quality Gate" suite with a testcase per gate condition, then one suite per file
+// with a failing testcase per issue. `issueUrl(issue)` optionally links each failure to the server.
+export function buildJunit({ projectKey, issues, gate, srcRoot, issueUrl }) {
+  const suites = []
+  if (gate?.conditions?.length) {
+    suites.push({
+      name: "Quality Gate",
+      cases: gate.conditions.map((c) => ({
+        name: `${c.metricKey} ${c.comparator || ""} ${c.errorThreshold ?? ""}`.trim(),
+        classname: `${projectKey}.quality-gate`,
+        failure:
+          c.status === "ERROR"
+            ? { message: `${c.metricKey} is ${c.actualValue ?? "?"} (${c.comparator} ${c.errorThreshold})`, type: "QUALITY_GATE", body: "" }
+            : undefined,
+      })),
+    })
+  }
+  const fingerprint = fingerprinter(projectKey, srcRoot)
+  const byFile = new Map()
+  for (const issue of issues) {
+    const file = issuePath(issue, projectKey, srcRoot)
+    if (!byFile.has(file)) byFile.set(file, [])
+    byFile.get(file).push(issue)
+  }
+  for (const [file, fileIssues] of [...byFile].sort(([a], [b]) => a.localeCompare(b))) {
+    suites.push({
+      name: file,
+      cases: fileIssues.map((issue) => {
+        const line = issue.textRange?.startLine || issue.line
+        const body = [
+          `${issue.rule} ${effectiveSeverity(issue)} ${issue.type || ""}`.trim(),
+          `${file}${line ? ":" + line : ""}`,
+          `fingerprint: ${fingerprint(issue)}`,
+          issueUrl ? issueUrl(issue) : undefined,
+        ].filter(Boolean)
+        return {
+          name: `${issue.rule}${line ? ` line ${line}` : ""} [${issue.key}]`,
+          classname: file,
+          failure: { message: issue.message || "(no message)", type: effectiveSeverity(issue), body: body.join("\n") },
+        }
+      }),
+    })
+  }
+  const cases = suites.flatMap((s) => s.cases)
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${xmlEscape(`SonarQube ${projectKey}`)}" tests="${cases.length}" failures="${cases.filter((c) => c.failure).length}" errors="0">`,
+    ...suites.map(testsuite),
+    "</testsuites>",
+    "",
+  ].join("\n")
+}
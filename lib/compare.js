@@ -0,0 +1,78 @@
+import { getProjectStatus, getIssues } from "./api.js"
+import { OPEN_STATUSES } from "./snapshot.js"
+
+const COMPARED_METRICS = ["ncloc", "sqale_rating", "reliability_rating", "security_rating"]
+// Size, not quality: a change is only "changed"
+const NEUTRAL = new Set(["ncloc"])
+// Every other compared metric is better when it goes down
+const HIGHER_IS_BETTER = new Set(["coverage", "new_coverage"])
+
+function filePath(component) {
+  return component?.split(":").slice(1).join(":") || component || ""
+}
+
+// Issue keys differ between branches, so issues are matched on what survives a merge: the rule,
+// the file and the hash of the flagged line (the message for file-level issues).
+export function issueSignature(issue) {
+  return [issue.rule, filePath(issue.component), issue.hash || issue.message || ""].join("|")
+}
+
+// Multiset difference: two identical issues on base and one on head leave one "only on base"
+export function diffIssues(baseIssues, headIssues) {
+  const pending = new Map()
+  for (const issue of baseIssues) {
+    const sig = issueSignature(issue)
+    if (!pending.has(sig)) pending.set(sig, [])
+    pending.get(sig).push(issue)
+  }
+  const onlyHead = []
+  let matched = 0
+  for (const issue of headIssues) {
+    const same = pending.get(issueSignature(issue))
+    if (same?.length) {
+      same.shift()
+      matched++
+    } else onlyHead.push(issue)
+  }
+  const onlyBase = [...pending.values()].flat()
+  return { onlyHead, onlyBase, matched }
+}
+
+function metricDeltas(baseMetrics, headMetrics) {
+  const base = Object.fromEntries(baseMetrics.map((m) => [m.metric, m.value]))
+  const head = Object.fromEntries(headMetrics.map((m) => [m.metric, m.value]))
+  return [...new Set([...Object.keys(base), ...Object.keys(head)])].map((metric) => {
+    const b = parseFloat(base[metric])
+    const h = parseFloat(head[metric])
+    const delta = Number.isFinite(b) && Number.isFinite(h) ? Math.round((h - b) * 100) / 100 : null
+    let trend = "same"
+    if (delta === null) trend = "unknown"
+    else if (delta !== 0 && NEUTRAL.has(metric)) trend = "changed"
+    else if (delta !== 0) trend = delta > 0 === HIGHER_IS_BETTER.has(metric) ? "better" : "worse"
+    return { metric, base: base[metric] ?? null, head: head[metric] ?? null, delta, trend }
+  })
+}
+
+// Fetches both branches and diffs them. `limit` caps the issues fetched per branch (default all);
+// onProgress(branch) returns the progress callback for that branch's issue fetch.
+export async function compareBranches({ host, token, project, base, head, limit = Infinity, onProgress }) {
+  const scope = { host, token, project }
+  const [baseStatus, headStatus] = await Promise.all([
+    getProjectStatus({ ...scope, branch: base, extraMetricKeys: COMPARED_METRICS }),
+    getProjectStatus({ ...scope, branch: head, extraMetricKeys: COMPARED_METRICS }),
+  ])
+  // One after the other so the progress lines don't fight over the terminal
+  const baseIssues = await getIssues({ ...scope, branch: base, statuses: OPEN_STATUSES, limit, onProgress: onProgress?.(base) })
+  const headIssues = await getIssues({ ...scope, branch: head, statuses: OPEN_STATUSES, limit, onProgress: onProgress?.(head) })
+  const { onlyHead, onlyBase, matched } = diffIssues(baseIssues.issues, headIssues.issues)
+  return {
+    projectKey: project,
+    base: { branch: base, qualityGate: baseStatus.qualityGate?.status, issues: baseIssues.paging.total },
+    head: { branch: head, qualityGate: headStatus.qualityGate?.status, issues: headIssues.paging.total },
+    truncated: baseIssues.truncated || headIssues.truncated || baseIssues.issues.length < baseIssues.paging.total || headIssues.issues.length < headIssues.paging.total,
+    metrics: metricDeltas(baseStatus.metrics, headStatus.metrics),
+    matched,
+    onlyHead,
+    onlyBase,
+  }
+}
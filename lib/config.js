@@ -50,6 +50,14 @@ export function loadConfig(providedPath) {
     project: process.env.SONARQUBE_DASH_PROJECT,
     host: process.env.SONARQUBE_DASH_HOST,
     branch: process.env.SONARQUBE_DASH_BRANCH,
+    pullRequest: process.env.SONARQUBE_DASH_PULL_REQUEST,
+    organization: process.env.SONARQUBE_DASH_ORGANIZATION,
+    auth: process.env.SONARQUBE_DASH_AUTH,
+    timeout: process.env.SONARQUBE_DASH_TIMEOUT,
+    retries: process.env.SONARQUBE_DASH_RETRIES,
+    retryDelay: process.env.SONARQUBE_DASH_RETRY_DELAY,
+    concurrency: process.env.SONARQUBE_DASH_CONCURRENCY,
+    cache: process.env.SONARQUBE_DASH_CACHE,
   }
 
   return { configFromFile, envConfig, usedFile }
@@ -64,7 +72,8 @@ export function resolveConfigPath(explicitPath) {
   return configFilePath()
 }
 
-export function writeConfig(data, explicitPath) {
+// Read-modify-write the config file; `mutate(current)` returns the new content
+function updateConfigFile(mutate, explicitPath) {
   const filePath = resolveConfigPath(explicitPath)
   fs.mkdirSync(path.dirname(filePath), { recursive: true })
   let current = {}
@@ -75,7 +84,54 @@ export function writeConfig(data, explicitPath) {
       // ignore parse errors, start fresh
     }
   }
-  const merged = { ...current, ...data }
-  fs.writeFileSync(filePath, JSON.stringify(merged, null, 2) + "\n", "utf8")
-  return { path: filePath, data: merged }
+  const next = mutate(current)
+  fs.writeFileSync(filePath, JSON.stringify(next, null, 2) + "\n", "utf8")
+  return { path: filePath, data: next }
+}
+
+export function writeConfig(data, explicitPath) {
+  return updateConfigFile((current) => ({ ...current, ...data }), explicitPath)
+}
+
+// Named contexts (kubectl style): { currentContext, contexts: { prod: { host, token, ... } } }
+// plus optional top-level keys shared by every context.
+
+export function writeContext(name, data, explicitPath) {
+  return updateConfigFile(
+    (current) => ({
+      ...current,
+      contexts: {
+        ...(current.contexts || {}),
+        [name]: { ...(current.contexts?.[name] || {}), ...data },
+      },
+    }),
+    explicitPath,
+  )
+}
+
+export function useContext(name, explicitPath) {
+  return updateConfigFile((current) => {
+    if (!current.contexts?.[name]) throw new Error(`Unknown context: ${name}`)
+    return { ...current, currentContext: name }
+  }, explicitPath)
+}
+
+export function deleteContext(name, explicitPath) {
+  return updateConfigFile((current) => {
+    if (!current.contexts?.[name]) throw new Error(`Unknown context: ${name}`)
+    const { [name]: _removed, ...contexts } = current.contexts
+    const next = { ...current, contexts }
+    if (next.currentContext === name) delete next.currentContext
+    return next
+  }, explicitPath)
+}
+
+// Split file config into the shared base and the selected context's values. Selection order:
+// explicit name (--context), SONARQUBE_DASH_CONTEXT, then the file's currentContext.
+export function resolveContext(configFromFile, requested) {
+  const { contexts = {}, currentContext, ...base } = configFromFile
+  const name = requested || process.env.SONARQUBE_DASH_CONTEXT || currentContext
+  if (!name) return { name: undefined, values: {}, base }
+  if (!contexts[name]) throw new Error(`Unknown context: ${name} (known: ${Object.keys(contexts).join(", ") || "none"})`)
+  return { name, values: contexts[name], base }
 }
@@ -0,0 +1,92 @@
+import path from "path"
+import { execFileSync } from "child_process"
+
+function git(args, cwd) {
+  return execFileSync("git", args, {
+    cwd,
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "pipe"],
+    timeout: 10000,
+    maxBuffer: 64 * 1024 * 1024,
+  })
+}
+
+export function gitRoot(cwd = process.cwd()) {
+  return git(["rev-parse", "--show-toplevel"], cwd).trim()
+}
+
+function refExists(ref, cwd) {
+  try {
+    git(["rev-parse", "--verify", "--quiet", `${ref}^{commit}`], cwd)
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Without --base: the remote's default branch, then the usual suspects
+export function defaultBaseRef(cwd = process.cwd()) {
+  try {
+    const head = git(["symbolic-ref", "--quiet", "refs/remotes/origin/HEAD"], cwd).trim()
+    if (head) return head.replace(/^refs\/remotes\//, "")
+  } catch {
+    // no origin/HEAD
+  }
+  const found = ["origin/main", "origin/master", "main", "master"].find((ref) => refExists(ref, cwd))
+  if (!found) throw new Error("Cannot find a base branch; pass --base <ref>")
+  return found
+}
+
+function mergeBase(base, cwd) {
+  try {
+    return git(["merge-base", base, "HEAD"], cwd).trim()
+  } catch {
+    throw new Error(`Cannot find a merge-base between ${base} and HEAD`)
+  }
+}
+
+// Files changed since the merge-base with `base`, working tree included (so uncommitted work
+// counts), deleted files left out. Paths are relative to the repository root.
+export function changedFiles({ base, cwd = process.cwd() }) {
+  const out = git(["diff", "--name-only", "--diff-filter=d", "--no-renames", mergeBase(base, cwd)], cwd)
+  return out.split("\n").filter(Boolean)
+}
+
+// { path: [[startLine, endLine], ...] } of the added or modified lines in the same diff
+export function changedLines({ base, cwd = process.cwd() }) {
+  const out = git(["diff", "--unified=0", "--diff-filter=d", "--no-renames", "--no-color", mergeBase(base, cwd)], cwd)
+  const hunks = {}
+  let file
+  for (const line of out.split("\n")) {
+    if (line.startsWith("+++ ")) {
+      file = line === "+++ /dev/null" ? undefined : line.slice(4).replace(/^b\//, "")
+      if (file) hunks[file] = hunks[file] || []
+      continue
+    }
+    const m = file && line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/)
+    if (!m) continue
+    const start = Number(m[1])
+    const count = m[2] === undefined ? 1 : Number(m[2])
+    // count 0 is a pure deletion: nothing left on the new side to flag
+    if (count > 0) hunks[file].push([start, start + count - 1])
+  }
+  return hunks
+}
+
+// Repository paths → project-relative paths, dropping files outside `projectDir`
+// (the project's directory relative to the repository root, "" for the root itself)
+export function toProjectPaths(files, projectDir) {
+  const prefix = projectDir ? projectDir.split(path.sep).join("/").replace(/\/+$/, "") + "/" : ""
+  return files.filter((f) => f.startsWith(prefix)).map((f) => f.slice(prefix.length))
+}
+
+// Keeps issues whose line range touches a changed hunk; file-level issues have no line and go
+export function filterIssuesToHunks(issues, hunksByComponent) {
+  return issues.filter((issue) => {
+    const ranges = hunksByComponent[issue.component]
+    const start = issue.textRange?.startLine || issue.line
+    if (!ranges || !start) return false
+    const end = issue.textRange?.endLine || start
+    return ranges.some(([a, b]) => start <= b && end >= a)
+  })
+}
@@ -8,11 +8,41 @@ function titleCaseMetric(name) {
     .join(" ")
 }
 
+// " (PR #12)" / " (develop)" / "" suffix for headings
+function scopeSuffix(branch, pullRequest) {
+  if (pullRequest) return ` (PR #${pullRequest})`
+  return branch ? ` (${branch})` : ""
+}
+
+// Human wording of the new code period returned with additionalFields=period
+export function describePeriod(period, pullRequest) {
+  if (pullRequest) return "changes in this pull request"
+  if (!period) return "not defined"
+  const since = period.date ? ` (since ${period.date.slice(0, 10)})` : ""
+  switch (String(period.mode).toUpperCase()) {
+    case "PREVIOUS_VERSION":
+      return `previous version${period.parameter ? ` ${period.parameter}` : ""}${since}`
+    case "NUMBER_OF_DAYS":
+    case "DAYS":
+      return `last ${period.parameter} days${since}`
+    case "REFERENCE_BRANCH":
+      return `reference branch ${period.parameter}`
+    case "SPECIFIC_ANALYSIS":
+      return `specific analysis${since}`
+    case "DATE":
+      return `since ${period.parameter || period.date?.slice(0, 10)}`
+    default:
+      return `${String(period.mode).toLowerCase()}${since}`
+  }
+}
+
 export function printProjectStatus({
   qualityGate,
   metrics,
   projectKey,
   branch,
+  pullRequest,
+  period,
 }) {
   const status =
     qualityGate.status === "OK"
@@ -26,12 +56,15 @@ export function printProjectStatus({
     "Unknown"
 
   console.log(
-    `\n📊 Project: ${chalk.bold(projectName)}${branch ? ` (${branch})` : ""}\n`,
+    `\n📊 Project: ${chalk.bold(projectName)}${scopeSuffix(branch, pullRequest)}\n`,
   )
   console.log(`🚦 Quality Gate: ${status}`)
   if (qualityGate.qualityGate?.name) {
     console.log(`🎯 Gate Name: ${qualityGate.qualityGate.name}\n`)
   }
+  if (period !== undefined) {
+    console.log(`🆕 New code: ${chalk.cyan(describePeriod(period, pullRequest))}\n`)
+  }
 
   if (!metrics || metrics.length === 0) {
     console.log(chalk.yellow("No metrics returned."))
@@ -49,13 +82,26 @@ export function printProjectStatus({
   console.log("")
 }
 
-export function printIssuesSummary({ projectKey, branch, total, facets }) {
-  console.log(`\n🧮 Issues Summary: ${chalk.bold(projectKey)}${branch ? ` (${branch})` : ""}`)
+const FACET_LABELS = {
+  impactSoftwareQualities: "Software Qualities",
+  impactSeverities: "Impact Severities",
+  cleanCodeAttributeCategories: "Clean Code Attributes",
+}
+
+export function printIssuesSummary({ projectKey, branch, pullRequest, total, facets }) {
+  console.log(`\n🧮 Issues Summary: ${chalk.bold(projectKey)}${scopeSuffix(branch, pullRequest)}`)
   console.log(`Total issues: ${chalk.cyan(total)}`)
-  const order = ["severities", "types", "statuses"]
+  const order = [
+    "severities",
+    "types",
+    "statuses",
+    "impactSoftwareQualities",
+    "impactSeverities",
+    "cleanCodeAttributeCategories",
+  ]
   for (const facetName of order) {
     if (!facets[facetName]) continue
-    console.log(`\n${chalk.bold(titleCaseMetric(facetName))}:`)
+    console.log(`\n${chalk.bold(FACET_LABELS[facetName] || titleCaseMetric(facetName))}:`)
     const entries = Object.entries(facets[facetName])
     const maxKey = Math.max(...entries.map(([k]) => k.length), 0) + 2
     for (const [k, v] of entries.sort((a, b) => b[1] - a[1])) {
@@ -65,7 +111,7 @@ export function printIssuesSummary({ projectKey, branch, total, facets }) {
   // Print any additional facets not in default order
   for (const facetName of Object.keys(facets)) {
     if (order.includes(facetName)) continue
-    console.log(`\n${chalk.bold(titleCaseMetric(facetName))}:`)
+    console.log(`\n${chalk.bold(FACET_LABELS[facetName] || titleCaseMetric(facetName))}:`)
     const entries = Object.entries(facets[facetName])
     const maxKey = Math.max(...entries.map(([k]) => k.length), 0) + 2
     for (const [k, v] of entries.sort((a, b) => b[1] - a[1])) {
@@ -75,41 +121,80 @@ export function printIssuesSummary({ projectKey, branch, total, facets }) {
   console.log("")
 }
 
-export function printIssues({ projectKey, issues, branch }) {
+function impactColor(severity) {
+  if (severity === "BLOCKER" || severity === "HIGH") return chalk.red
+  if (severity === "MEDIUM") return chalk.yellow
+  if (severity === "LOW") return chalk.cyan
+  return chalk.gray
+}
+
+// "Maintainability HIGH · Reliability MEDIUM" from the Clean Code `impacts` array
+function formatImpacts(impacts) {
+  return (impacts || [])
+    .map((i) => `${titleCaseMetric(i.softwareQuality.toLowerCase())} ${impactColor(i.severity)(i.severity)}`)
+    .join(" · ")
+}
+
+function cleanCodeLabel(issue) {
+  if (!issue.cleanCodeAttributeCategory) return ""
+  const attr = issue.cleanCodeAttribute ? ` (${issue.cleanCodeAttribute.toLowerCase()})` : ""
+  return titleCaseMetric(issue.cleanCodeAttributeCategory.toLowerCase()) + attr
+}
+
+export function printIssues({ projectKey, issues, branch, pullRequest }) {
   console.log(
-    `\n📝 Issues for: ${chalk.bold(projectKey)}${
-      branch ? ` (${branch})` : ""
-    } (showing ${issues.length})\n`,
+    `\n📝 Issues for: ${chalk.bold(projectKey)}${scopeSuffix(
+      branch,
+      pullRequest,
+    )} (showing ${issues.length})\n`,
   )
   if (!issues.length) {
     console.log(chalk.green("No issues found with provided filters.") + "\n")
     return
   }
-  for (const issue of issues) {
-    const sevColor =
-      issue.severity === "BLOCKER"
-        ? chalk.bgRed.white
-        : issue.severity === "CRITICAL"
-        ? chalk.red
-        : issue.severity === "MAJOR"
-        ? chalk.yellow
-        : issue.severity === "MINOR"
-        ? chalk.cyan
-        : chalk.gray
-    const key = chalk.dim(issue.key)
-    const msg = issue.message || "(no message)"
-    const rule = chalk.gray(issue.rule)
-    const type = chalk.magenta(issue.type)
-    const comp =
-      issue.component?.split(":").slice(1).join(":") || issue.component
-    console.log(
-      `${sevColor(issue.severity.padEnd(8))} ${type.padEnd(10)} ${msg}`,
-    )
-    console.log(`  ${key} ${rule}`)
-    if (comp)
-      console.log(`  ${chalk.blue(comp)}${issue.line ? ":" + issue.line : ""}`)
-    console.log("")
+  for (const issue of issues) printIssueEntry(issue)
+}
+
+function printIssueEntry(issue) {
+  const sevColor =
+    issue.severity === "BLOCKER"
+      ? chalk.bgRed.white
+      : issue.severity === "CRITICAL"
+      ? chalk.red
+      : issue.severity === "MAJOR"
+      ? chalk.yellow
+      : issue.severity === "MINOR"
+      ? chalk.cyan
+      : chalk.gray
+  const key = chalk.dim(issue.key)
+  const msg = issue.message || "(no message)"
+  const rule = chalk.gray(issue.rule)
+  const type = chalk.magenta(issue.type)
+  const comp =
+    issue.component?.split(":").slice(1).join(":") || issue.component
+  console.log(
+    `${sevColor(issue.severity.padEnd(8))} ${type.padEnd(10)} ${msg}`,
+  )
+  console.log(`  ${key} ${rule}`)
+  if (issue.impacts?.length) {
+    const cc = cleanCodeLabel(issue)
+    console.log(`  ${formatImpacts(issue.impacts)}${cc ? chalk.gray(`  [${cc}]`) : ""}`)
   }
+  if (comp)
+    console.log(`  ${chalk.blue(comp)}${issue.line ? ":" + issue.line : ""}`)
+  console.log("")
+}
+
+export function printSnapshotDiff({ projectKey, branch, pullRequest, snapshot, added, fixed, unchanged, newBlockers }) {
+  const from = `${snapshot.projectKey}${scopeSuffix(snapshot.branch, snapshot.pullRequest)}`
+  console.log(`\n📸 Issues for: ${chalk.bold(projectKey)}${scopeSuffix(branch, pullRequest)} vs snapshot of ${from}, ${snapshot.createdAt}\n`)
+  for (const [label, list, color] of [["New", added, chalk.red], ["Fixed", fixed, chalk.green]]) {
+    console.log(color.bold(`${label} (${list.length})`) + "\n")
+    for (const issue of list) printIssueEntry(issue)
+  }
+  console.log(`Unchanged: ${unchanged.length}`)
+  if (newBlockers.length) console.log(chalk.red(`❌ ${newBlockers.length} new blocker issue(s)`))
+  console.log("")
 }
 
 export function printIssue(issue) {
@@ -117,6 +202,8 @@ export function printIssue(issue) {
   console.log(`${chalk.bold(issue.severity)} ${chalk.magenta(issue.type)} ${issue.status || ''}`)
   console.log(`${issue.message || '(no message)'}`)
   console.log(chalk.gray(issue.rule || ''))
+  if (issue.impacts?.length) console.log(`Impacts: ${formatImpacts(issue.impacts)}`)
+  if (issue.cleanCodeAttributeCategory) console.log(`Clean code: ${cleanCodeLabel(issue)}`)
   const comp = issue.component?.split(':').slice(1).join(':') || issue.component
   if (comp) console.log(chalk.blue(comp) + (issue.line ? ':' + issue.line : ''))
   if (issue.textRange) {
@@ -125,11 +212,11 @@ export function printIssue(issue) {
   console.log('')
 }
 
-export function printHotspots({ projectKey, branch, hotspots }) {
-  console.log(`\n🔥 Hotspots for: ${chalk.bold(projectKey || '')}${branch ? ' ('+branch+')' : ''} (showing ${hotspots.length})\n`)
+export function printHotspots({ projectKey, branch, pullRequest, hotspots }) {
+  console.log(`\n🔥 Hotspots for: ${chalk.bold(projectKey || '')}${scopeSuffix(branch, pullRequest)} (showing ${hotspots.length})\n`)
   if (!hotspots.length) { console.log(chalk.green('No hotspots.')); return }
   for (const h of hotspots) {
-    const sev = h.vulnerabilityProbability || h.severity || 'UNKNOWN'
+    const sev = h.vulnerabilityProbability || 'UNKNOWN'
     const sevColor = sev === 'HIGH' ? chalk.red : sev === 'MEDIUM' ? chalk.yellow : chalk.gray
     console.log(`${sevColor(sev.padEnd(6))} ${h.securityCategory || ''} ${h.message}`)
     console.log(`  ${chalk.dim(h.key)}`)
@@ -141,8 +228,9 @@ export function printHotspots({ projectKey, branch, hotspots }) {
 
 export function printHotspot(h) {
   console.log(`\n🔥 Hotspot ${chalk.dim(h.key)}\n`)
-  const sev = h.vulnerabilityProbability || h.severity || 'UNKNOWN'
+  const sev = h.vulnerabilityProbability || 'UNKNOWN'
   console.log(`${sev} ${h.securityCategory || ''}`)
+  if (h.status) console.log(`${h.status}${h.resolution ? ' / ' + h.resolution : ''}${h.assignee ? chalk.gray(' @' + h.assignee) : ''}`)
   console.log(h.message || '')
   const comp = h.component?.split(':').slice(1).join(':') || h.component
   if (comp) console.log(chalk.blue(comp) + (h.line ? ':' + h.line : ''))
@@ -245,9 +333,92 @@ export function printQualityGate(gate) {
   if (Array.isArray(gate.conditions)) {
     for (const c of gate.conditions) {
       const met = c.status === 'OK'
-      const line = `${met ? chalk.green('✔') : chalk.red('✖')} ${c.metricKey} ${c.comparator || ''} ${c.errorThreshold || ''} => ${c.value || ''}`
+      const line = `${met ? chalk.green('✔') : chalk.red('✖')} ${c.metricKey} ${c.comparator || ''} ${c.errorThreshold || ''} => ${c.actualValue ?? c.value ?? ''}`
       console.log('  ' + line)
     }
   }
   console.log('')
 }
+
+export function printPullRequests({ projectKey, pullRequests }) {
+  console.log(`\n🔀 Pull Requests for: ${chalk.bold(projectKey)} (${pullRequests.length})\n`)
+  if (!pullRequests.length) { console.log(chalk.yellow('No pull request analyses.') + '\n'); return }
+  for (const pr of pullRequests) {
+    const gate = pr.status?.qualityGateStatus
+    const gateTag = gate === 'OK' ? chalk.green('PASSED') : gate ? chalk.red(gate) : chalk.gray('—')
+    console.log(`${chalk.bold('#' + pr.key)} ${pr.title || ''} ${gateTag}`)
+    console.log(`  ${chalk.blue(pr.branch || '')} → ${chalk.blue(pr.base || pr.target || '')} ${chalk.gray(pr.analysisDate || '')}`)
+    if (pr.url) console.log(`  ${chalk.gray(pr.url)}`)
+  }
+  console.log('')
+}
+
+export function printGateCheck({ task, gate }) {
+  const scope = task.pullRequest ? ` PR #${task.pullRequest}` : task.branch ? ` (${task.branch})` : ''
+  console.log(`\n🏁 Analysis ${chalk.dim(task.analysisId || task.id)} of ${chalk.bold(task.componentKey || '')}${scope}`)
+  if (task.executedAt) console.log(chalk.gray(`Executed at ${task.executedAt}`))
+  printQualityGate(gate)
+  const failing = (gate.conditions || []).filter((c) => c.status === 'ERROR')
+  if (failing.length) {
+    console.log(chalk.red(`Failed conditions (${failing.length}):`))
+    for (const c of failing) {
+      console.log(`  ${chalk.red('✖')} ${c.metricKey}: ${c.actualValue ?? '—'} (${c.comparator || ''} ${c.errorThreshold || ''})`)
+    }
+    console.log('')
+  }
+}
+
+export function printPolicyResult({ projectKey, branch, pullRequest, serverGate, passed, results }) {
+  console.log(`\n📋 Policy Check: ${chalk.bold(projectKey)}${scopeSuffix(branch, pullRequest)}\n`)
+  console.log(`Status: ${passed ? chalk.green('PASSED') : chalk.red('FAILED')}`)
+  if (serverGate) console.log(chalk.gray(`Server gate: ${serverGate}`))
+  const pad = Math.max(...results.map((r) => r.name.length)) + 2
+  for (const r of results) {
+    const mark = r.status === 'OK' ? chalk.green('✔') : r.status === 'ERROR' ? chalk.red('✖') : chalk.gray('–')
+    const actual = r.status === 'NO_VALUE' ? chalk.gray('no value') : r.actual
+    console.log(`  ${mark} ${r.name.padEnd(pad)} ${r.op} ${r.value} => ${actual}`)
+  }
+  console.log('')
+}
+
+export function printSummary({ projectKey, branch, pullRequest, qualityGate, period, metrics, newIssues }) {
+  const passed = qualityGate?.status === 'OK'
+  console.log(`\n📝 Summary: ${chalk.bold(projectKey)}${scopeSuffix(branch, pullRequest)}\n`)
+  console.log(`🚦 Quality Gate: ${passed ? chalk.green('PASSED ✅') : chalk.red(`${qualityGate?.status || 'UNKNOWN'} ❌`)}`)
+  console.log(`🆕 New code: ${chalk.cyan(describePeriod(period, pullRequest))}\n`)
+  for (const c of (qualityGate?.conditions || []).filter((c) => c.status === 'ERROR')) {
+    console.log(`  ${chalk.red('✖')} ${c.metricKey}: ${c.actualValue ?? '—'} (${c.comparator} ${c.errorThreshold})`)
+  }
+  for (const [metric, value] of Object.entries(metrics)) {
+    console.log(`• ${titleCaseMetric(metric).padEnd(30)} ${chalk.cyan(value ?? '—')}`)
+  }
+  console.log(`\nNew issues: ${chalk.cyan(newIssues.total)}`)
+  for (const i of newIssues.top) {
+    const comp = i.component?.split(':').slice(1).join(':') || i.component
+    console.log(`  ${i.severity.padEnd(8)} ${i.message} ${chalk.blue(comp)}${i.line ? ':' + i.line : ''}`)
+  }
+  console.log('')
+}
+
+export function printComparison({ projectKey, base, head, metrics, matched, onlyHead, onlyBase }) {
+  const gate = (s) => (s === 'OK' ? chalk.green('PASSED') : s ? chalk.red(s) : chalk.gray('—'))
+  console.log(`\n🔀 ${chalk.bold(projectKey)}: ${chalk.cyan(base.branch)} → ${chalk.cyan(head.branch)}\n`)
+  console.log(`🚦 Quality Gate: ${gate(base.qualityGate)} → ${gate(head.qualityGate)}\n`)
+  const pad = Math.max(...metrics.map((m) => titleCaseMetric(m.metric).length), 0) + 2
+  for (const m of metrics) {
+    const color = m.trend === 'better' ? chalk.green : m.trend === 'worse' ? chalk.red : chalk.gray
+    const arrow = m.delta > 0 ? '↑' : m.delta < 0 ? '↓' : '='
+    const delta = m.delta === null ? '' : color(`${arrow} ${m.delta > 0 ? '+' : ''}${m.delta}`)
+    console.log(`• ${titleCaseMetric(m.metric).padEnd(pad)} ${String(m.base ?? '—').padStart(8)} → ${String(m.head ?? '—').padEnd(8)} ${delta}`)
+  }
+  console.log(`\nOpen issues: ${base.issues} → ${head.issues} (${matched} on both)`)
+  for (const [label, list, color] of [[`Only on ${head.branch}`, onlyHead, chalk.red], [`Only on ${base.branch}`, onlyBase, chalk.green]]) {
+    console.log(`\n${chalk.bold(label)} (${list.length}):`)
+    for (const i of list) {
+      const comp = i.component?.split(':').slice(1).join(':') || i.component
+      console.log(`  ${color(i.severity.padEnd(8))} ${i.message} ${chalk.gray(i.rule)}`)
+      console.log(`           ${chalk.blue(comp)}${i.line ? ':' + i.line : ''}`)
+    }
+  }
+  console.log('')
+}
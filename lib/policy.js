@@ -0,0 +1,148 @@
+import fs from "fs"
+import path from "path"
+import YAML from "yaml"
+import { getProjectStatus } from "./api.js"
+import { fetchMeasures, fetchIssuesSummary } from "./api-helpers.js"
+
+const OPERATORS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+}
+// Server gate spelling, so conditions can be copied from a gate definition
+const OPERATOR_ALIASES = { LT: "<", LTE: "<=", GT: ">", GTE: ">=", EQ: "==", NE: "!=" }
+
+const ISSUE_FILTERS = ["severities", "types", "statuses", "impactSeverities", "softwareQualities", "cleanCodeAttributeCategories"]
+
+// Ratings are stored as 1.0..5.0 but written A..E everywhere in the UI
+const RATINGS = { A: 1, B: 2, C: 3, D: 4, E: 5 }
+
+export function loadPolicy(file) {
+  let raw
+  try {
+    raw = fs.readFileSync(file, "utf8")
+  } catch (e) {
+    throw new Error(`Cannot read policy file ${file}: ${e.message}`)
+  }
+  const ext = path.extname(file).toLowerCase()
+  let doc
+  try {
+    doc = ext === ".json" ? JSON.parse(raw) : YAML.parse(raw)
+  } catch (e) {
+    throw new Error(`Invalid policy file ${file}: ${e.message}`)
+  }
+  return normalizePolicy(doc, file)
+}
+
+// Validate up front so a typo fails the CI job with a clear message instead of a silent pass
+function normalizePolicy(doc, file) {
+  if (!doc || !Array.isArray(doc.conditions) || !doc.conditions.length) {
+    throw new Error(`Policy file ${file} must declare a non-empty "conditions" list`)
+  }
+  const conditions = doc.conditions.map((c, i) => {
+    const where = `${file}: condition #${i + 1}`
+    if (!c || (!c.metric && !c.issues)) throw new Error(`${where} needs either "metric" or "issues"`)
+    if (c.metric && c.issues) throw new Error(`${where} cannot have both "metric" and "issues"`)
+    const op = OPERATOR_ALIASES[String(c.op || "").toUpperCase()] || c.op
+    if (!OPERATORS[op]) throw new Error(`${where} has unknown op "${c.op}" (use ${Object.keys(OPERATORS).join(" ")})`)
+    const threshold = parseValue(c.value)
+    if (threshold === undefined) throw new Error(`${where} has a non-numeric value "${c.value}"`)
+    const issues = c.issues === true ? {} : c.issues
+    if (issues) {
+      const unknown = Object.keys(issues).filter((k) => !ISSUE_FILTERS.includes(k))
+      if (unknown.length) throw new Error(`${where} has unknown issue filter(s): ${unknown.join(", ")}`)
+    }
+    return {
+      name: c.name || describeCondition(c.metric, issues, c.component),
+      metric: c.metric,
+      issues,
+      component: c.component,
+      op,
+      value: c.value,
+      threshold,
+    }
+  })
+  return { project: doc.project, conditions }
+}
+
+function parseValue(v) {
+  if (typeof v === "number") return v
+  const s = String(v ?? "").trim()
+  if (RATINGS[s.toUpperCase()]) return RATINGS[s.toUpperCase()]
+  const n = Number(s)
+  return s && Number.isFinite(n) ? n : undefined
+}
+
+function describeCondition(metric, issues, component) {
+  let label = metric
+  if (issues) {
+    const filters = Object.entries(issues).map(([k, v]) => `${k}=${[].concat(v).join(",")}`)
+    label = `issues${filters.length ? `(${filters.join(" ")})` : ""}`
+  }
+  return component ? `${label} in ${component}` : label
+}
+
+// Bare paths are relative to the project ("src/payments" -> "my-proj:src/payments")
+function componentKey(project, component) {
+  if (!component) return project
+  return component.includes(":") ? component : `${project}:${component}`
+}
+
+// Evaluates every condition and returns { projectKey, branch, pullRequest, serverGate, passed, results }.
+// A metric without a value (e.g. new_coverage with no new lines) is reported but does not fail,
+// like the server gate does.
+export async function evaluatePolicy({ host, token, project, branch, pullRequest, policy }) {
+  const scope = { host, token, branch, pullRequest }
+  const projectMetrics = policy.conditions.filter((c) => c.metric && !c.component).map((c) => c.metric)
+  const projectStatus = await getProjectStatus({ ...scope, project, extraMetricKeys: projectMetrics })
+  const values = new Map([[project, new Map(projectStatus.metrics.map((m) => [m.metric, m.value]))]])
+
+  // One measures call per extra component, with all of its metrics
+  const byComponent = new Map()
+  for (const c of policy.conditions) {
+    if (!c.metric || !c.component) continue
+    const key = componentKey(project, c.component)
+    if (!byComponent.has(key)) byComponent.set(key, new Set())
+    byComponent.get(key).add(c.metric)
+  }
+  await Promise.all(
+    [...byComponent].map(async ([key, metrics]) => {
+      const comp = await fetchMeasures({ ...scope, component: key, metricKeys: [...metrics] })
+      values.set(key, new Map((comp?.measures || []).map((m) => [m.metric, m.value ?? m.period?.value])))
+    }),
+  )
+
+  const results = await Promise.all(
+    policy.conditions.map(async (c) => {
+      let actual
+      if (c.issues) {
+        const filters = Object.fromEntries(Object.entries(c.issues).map(([k, v]) => [k, [].concat(v).join(",")]))
+        const summary = await fetchIssuesSummary({
+          ...scope,
+          project,
+          component: c.component ? componentKey(project, c.component) : undefined,
+          facets: "severities",
+          resolved: filters.statuses ? undefined : "false",
+          ...filters,
+        })
+        actual = summary.total
+      } else {
+        const raw = values.get(componentKey(project, c.component))?.get(c.metric)
+        actual = raw === undefined ? undefined : Number(raw)
+      }
+      const status = actual === undefined || Number.isNaN(actual) ? "NO_VALUE" : OPERATORS[c.op](actual, c.threshold) ? "OK" : "ERROR"
+      return { name: c.name, metric: c.metric, issues: c.issues, component: c.component, op: c.op, value: c.value, actual, status }
+    }),
+  )
+  return {
+    projectKey: project,
+    branch,
+    pullRequest,
+    serverGate: projectStatus.qualityGate?.status,
+    passed: results.every((r) => r.status !== "ERROR"),
+    results,
+  }
+}
@@ -0,0 +1,362 @@
+import { getProjectStatus, getIssues } from "./api.js"
+import { fetchIssuesSummary, fetchHotspots, fetchMeasuresHistory, fetchComponentTree } from "./api-helpers.js"
+import { describePeriod } from "./output.js"
+
+const HEADLINE_METRICS = ["ncloc", "reliability_rating", "security_rating", "sqale_rating", "security_hotspots"]
+const TREND_METRICS = ["coverage", "bugs", "vulnerabilities", "code_smells", "duplicated_lines_density"]
+const FILE_METRICS = ["violations", "bugs", "vulnerabilities", "code_smells", "coverage"]
+const OPEN_STATUSES = "OPEN,CONFIRMED,REOPENED"
+
+const METRIC_LABELS = {
+  ncloc: "Lines of code",
+  coverage: "Coverage (%)",
+  duplicated_lines_density: "Duplications (%)",
+  bugs: "Bugs",
+  vulnerabilities: "Vulnerabilities",
+  code_smells: "Code smells",
+  security_hotspots: "Security hotspots",
+  reliability_rating: "Reliability rating",
+  security_rating: "Security rating",
+  sqale_rating: "Maintainability rating",
+  violations: "Issues",
+}
+const SEVERITY_ORDER = ["BLOCKER", "CRITICAL", "MAJOR", "MINOR", "INFO"]
+
+export function metricLabel(key) {
+  if (METRIC_LABELS[key]) return METRIC_LABELS[key]
+  if (key.startsWith("new_")) return `New ${metricLabel(key.slice(4)).toLowerCase()}`
+  return key.replace(/_/g, " ")
+}
+
+export function formatValue(metric, value) {
+  if (value === undefined || value === null || value === "") return "—"
+  if (metric.endsWith("_rating")) return "ABCDE"[Math.round(Number(value)) - 1] || value
+  return String(value)
+}
+
+function fileName(component, projectKey) {
+  return component.path || component.key.replace(`${projectKey}:`, "")
+}
+
+// Fetches every section in parallel. Hotspots are skipped (null) on servers without the API.
+// `top` bounds the issue, hotspot and file lists; `from` is the first day of the trends.
+export async function collectReport({ host, token, project, branch, pullRequest, caps, top = 10, from }) {
+  const scope = { host, token, branch, pullRequest }
+  const [status, summary, issues, hotspots, history, tree] = await Promise.all([
+    getProjectStatus({ ...scope, project, extraMetricKeys: HEADLINE_METRICS }),
+    fetchIssuesSummary({ ...scope, project, resolved: "false" }),
+    getIssues({ ...scope, project, severities: "BLOCKER,CRITICAL", statuses: OPEN_STATUSES, limit: top }),
+    caps?.hotspotsApi === false ? null : fetchHotspots({ ...scope, project, status: "TO_REVIEW", limit: top }),
+    fetchMeasuresHistory({ ...scope, component: project, metrics: TREND_METRICS, from }),
+    fetchComponentTree({ ...scope, component: project, metricKeys: FILE_METRICS, metricSort: "violations", pageSize: top }),
+  ])
+  const topIssues = [...issues.issues].sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity))
+  return {
+    projectKey: project,
+    branch,
+    pullRequest,
+    host,
+    generatedAt: new Date().toISOString(),
+    qualityGate: status.qualityGate,
+    metrics: Object.fromEntries(status.metrics.map((m) => [m.metric, m.value])),
+    issues: { total: summary.total, facets: summary.facets, top: topIssues },
+    hotspots: hotspots && { total: hotspots.paging.total, items: hotspots.hotspots },
+    trends: (history.measures || []).map((m) => ({
+      metric: m.metric,
+      points: (m.history || []).filter((h) => h.value !== undefined && !isNaN(parseFloat(h.value))).map((h) => ({ date: h.date, value: parseFloat(h.value) })),
+    })),
+    worstFiles: (tree.components || []).map((c) => ({
+      key: c.key,
+      path: fileName(c, project),
+      measures: Object.fromEntries((c.measures || []).map((m) => [m.metric, m.value])),
+    })),
+  }
+}
+
+function scopeLabel({ branch, pullRequest }) {
+  if (pullRequest) return ` (PR #${pullRequest})`
+  return branch ? ` (${branch})` : ""
+}
+
+function gatePassed(gate) {
+  return gate?.status === "OK"
+}
+
+function facetLine(facet) {
+  return Object.entries(facet || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([k, v]) => `${k} ${v}`)
+    .join(" · ")
+}
+
+function issueLocation(issue) {
+  const file = issue.component?.split(":").slice(1).join(":") || issue.component || ""
+  return issue.line ? `${file}:${issue.line}` : file
+}
+
+// ▁▂▃▄▅▆▇█ version of the sparkline for Markdown and the dashboard
+export function textSparkline(points) {
+  if (points.length < 2) return ""
+  const chars = "▁▂▃▄▅▆▇█"
+  const values = points.map((p) => p.value)
+  const min = Math.min(...values)
+  const rng = Math.max(...values) - min || 1
+  return values.map((v) => chars[Math.round(((v - min) / rng) * (chars.length - 1))]).join("")
+}
+
+function trendFor(report, metric) {
+  return report.trends.find((t) => t.metric === metric)?.points || []
+}
+
+function mdEscape(str) {
+  return String(str ?? "").replace(/\|/g, "\\|").replace(/\n/g, " ")
+}
+
+// `urls` is optional: { dashboard, issue(key), hotspot(key) } deep links back to the server
+export function renderMarkdown(report, urls = {}) {
+  const out = []
+  const gate = report.qualityGate || {}
+  const heading = urls.dashboard ? `[${report.projectKey}](${urls.dashboard})` : report.projectKey
+  out.push(`# ${heading}${scopeLabel(report)}`, "")
+  out.push(`_Generated ${report.generatedAt.replace("T", " ").slice(0, 16)} UTC from ${report.host}_`, "")
+
+  out.push(`## Quality gate: ${gatePassed(gate) ? "✅ Passed" : `❌ ${gate.status || "Unknown"}`}`, "")
+  if (gate.conditions?.length) {
+    out.push("| Condition | Actual | Threshold | |", "| --- | ---: | ---: | :---: |")
+    for (const c of gate.conditions) {
+      out.push(`| ${metricLabel(c.metricKey)} | ${formatValue(c.metricKey, c.actualValue)} | ${c.comparator} ${formatValue(c.metricKey, c.errorThreshold)} | ${c.status === "OK" ? "✅" : "❌"} |`)
+    }
+    out.push("")
+  }
+
+  out.push("## Key metrics", "", "| Metric | Value | Trend |", "| --- | ---: | --- |")
+  for (const metric of [...TREND_METRICS, ...HEADLINE_METRICS]) {
+    if (!(metric in report.metrics)) continue
+    out.push(`| ${metricLabel(metric)} | ${formatValue(metric, report.metrics[metric])} | ${textSparkline(trendFor(report, metric))} |`)
+  }
+  out.push("")
+
+  out.push(`## Open issues: ${report.issues.total}`, "")
+  for (const [facet, label] of [["severities", "Severity"], ["types", "Type"]]) {
+    const line = facetLine(report.issues.facets[facet])
+    if (line) out.push(`- **${label}:** ${line}`)
+  }
+  out.push("")
+  if (report.issues.top.length) {
+    out.push("### Blocker and critical issues", "", "| Severity | Issue | Location |", "| --- | --- | --- |")
+    for (const i of report.issues.top) {
+      const msg = mdEscape(i.message)
+      out.push(`| ${i.severity} | ${urls.issue ? `[${msg}](${urls.issue(i.key)})` : msg} | \`${mdEscape(issueLocation(i))}\` |`)
+    }
+    out.push("")
+  }
+
+  if (report.hotspots) {
+    out.push(`## Security hotspots to review: ${report.hotspots.total}`, "")
+    if (report.hotspots.items.length) {
+      out.push("| Risk | Category | Hotspot | Location |", "| --- | --- | --- | --- |")
+      for (const h of report.hotspots.items) {
+        const msg = mdEscape(h.message)
+        out.push(`| ${h.vulnerabilityProbability || "—"} | ${h.securityCategory || ""} | ${urls.hotspot ? `[${msg}](${urls.hotspot(h.key)})` : msg} | \`${mdEscape(issueLocation(h))}\` |`)
+      }
+      out.push("")
+    }
+  }
+
+  if (report.worstFiles.length) {
+    out.push("## Files with the most issues", "", `| File | ${FILE_METRICS.map(metricLabel).join(" | ")} |`, `| --- |${FILE_METRICS.map(() => " ---: |").join("")}`)
+    for (const f of report.worstFiles) {
+      out.push(`| \`${mdEscape(f.path)}\` | ${FILE_METRICS.map((m) => formatValue(m, f.measures[m])).join(" | ")} |`)
+    }
+    out.push("")
+  }
+  return out.join("\n")
+}
+
+function htmlEscape(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+}
+
+function svgSparkline(points, { width = 120, height = 28 } = {}) {
+  if (points.length < 2) return ""
+  const values = points.map((p) => p.value)
+  const min = Math.min(...values)
+  const rng = Math.max(...values) - min || 1
+  const xy = values.map((v, i) => [
+    ((i / (values.length - 1)) * (width - 4) + 2).toFixed(1),
+    (height - 2 - ((v - min) / rng) * (height - 4)).toFixed(1),
+  ])
+  const [lx, ly] = xy[xy.length - 1]
+  const title = `${points[0].date.slice(0, 10)}: ${values[0]} → ${points[points.length - 1].date.slice(0, 10)}: ${values[values.length - 1]}`
+  return (
+    `<svg class="spark" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img"><title>${htmlEscape(title)}</title>` +
+    `<polyline fill="none" stroke="#4b9fd5" stroke-width="1.5" points="${xy.map((p) => p.join(",")).join(" ")}"/>` +
+    `<circle cx="${lx}" cy="${ly}" r="2" fill="#236a97"/></svg>`
+  )
+}
+
+function link(text, href) {
+  return href ? `<a href="${htmlEscape(href)}">${htmlEscape(text)}</a>` : htmlEscape(text)
+}
+
+const HTML_STYLE = `
+body { font: 14px/1.45 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2328; max-width: 960px; margin: 2em auto; padding: 0 1em; }
+h1 { font-size: 1.6em; margin-bottom: 0; } h2 { font-size: 1.2em; margin-top: 1.8em; border-bottom: 1px solid #d0d7de; padding-bottom: .3em; }
+.meta { color: #656d76; margin-top: .2em; }
+table { border-collapse: collapse; width: 100%; margin: .6em 0; } th, td { text-align: left; padding: .35em .6em; border-bottom: 1px solid #eaeef2; vertical-align: middle; }
+th { background: #f6f8fa; font-weight: 600; } td.num { text-align: right; font-variant-numeric: tabular-nums; }
+code { font: 12px ui-monospace, SFMono-Regular, Menlo, monospace; }
+.badge { display: inline-block; padding: .1em .6em; border-radius: 1em; font-weight: 600; color: #fff; }
+.ok { background: #1a7f37; } .error { background: #cf222e; } .unknown { background: #6e7781; }
+.sev-BLOCKER, .sev-CRITICAL, .sev-HIGH { color: #cf222e; font-weight: 600; } .sev-MAJOR, .sev-MEDIUM { color: #9a6700; } .sev-MINOR, .sev-LOW, .sev-INFO { color: #656d76; }
+.facets { color: #656d76; } a { color: #0969da; text-decoration: none; }
+`
+
+// Single HTML file with inline CSS and SVG: nothing to load, safe to email or attach
+export function renderHtml(report, urls = {}) {
+  const gate = report.qualityGate || {}
+  const gateClass = gatePassed(gate) ? "ok" : gate.status ? "error" : "unknown"
+  const parts = []
+  const title = `${report.projectKey}${scopeLabel(report)}`
+  parts.push(`<h1>${link(report.projectKey, urls.dashboard)}${htmlEscape(scopeLabel(report))}</h1>`)
+  parts.push(`<p class="meta">Generated ${htmlEscape(report.generatedAt.replace("T", " ").slice(0, 16))} UTC from ${htmlEscape(report.host)}</p>`)
+
+  parts.push(`<h2>Quality gate <span class="badge ${gateClass}">${gatePassed(gate) ? "Passed" : htmlEscape(gate.status || "Unknown")}</span></h2>`)
+  if (gate.conditions?.length) {
+    parts.push("<table><tr><th>Condition</th><th>Actual</th><th>Threshold</th><th></th></tr>")
+    for (const c of gate.conditions) {
+      parts.push(
+        `<tr><td>${htmlEscape(metricLabel(c.metricKey))}</td><td class="num">${htmlEscape(formatValue(c.metricKey, c.actualValue))}</td>` +
+          `<td class="num">${htmlEscape(`${c.comparator} ${formatValue(c.metricKey, c.errorThreshold)}`)}</td><td>${c.status === "OK" ? "✅" : "❌"}</td></tr>`,
+      )
+    }
+    parts.push("</table>")
+  }
+
+  parts.push("<h2>Key metrics</h2><table><tr><th>Metric</th><th>Value</th><th>Trend</th></tr>")
+  for (const metric of [...TREND_METRICS, ...HEADLINE_METRICS]) {
+    if (!(metric in report.metrics)) continue
+    parts.push(`<tr><td>${htmlEscape(metricLabel(metric))}</td><td class="num">${htmlEscape(formatValue(metric, report.metrics[metric]))}</td><td>${svgSparkline(trendFor(report, metric))}</td></tr>`)
+  }
+  parts.push("</table>")
+
+  parts.push(`<h2>Open issues: ${report.issues.total}</h2>`)
+  for (const [facet, label] of [["severities", "Severity"], ["types", "Type"]]) {
+    const line = facetLine(report.issues.facets[facet])
+    if (line) parts.push(`<p class="facets"><strong>${label}:</strong> ${htmlEscape(line)}</p>`)
+  }
+  if (report.issues.top.length) {
+    parts.push("<h3>Blocker and critical issues</h3><table><tr><th>Severity</th><th>Issue</th><th>Location</th></tr>")
+    for (const i of report.issues.top) {
+      parts.push(
+        `<tr><td class="sev-${htmlEscape(i.severity)}">${htmlEscape(i.severity)}</td><td>${link(i.message || "(no message)", urls.issue?.(i.key))}</td>` +
+          `<td><code>${htmlEscape(issueLocation(i))}</code></td></tr>`,
+      )
+    }
+    parts.push("</table>")
+  }
+
+  if (report.hotspots) {
+    parts.push(`<h2>Security hotspots to review: ${report.hotspots.total}</h2>`)
+    if (report.hotspots.items.length) {
+      parts.push("<table><tr><th>Risk</th><th>Category</th><th>Hotspot</th><th>Location</th></tr>")
+      for (const h of report.hotspots.items) {
+        parts.push(
+          `<tr><td class="sev-${htmlEscape(h.vulnerabilityProbability)}">${htmlEscape(h.vulnerabilityProbability || "—")}</td><td>${htmlEscape(h.securityCategory || "")}</td>` +
+            `<td>${link(h.message || "(no message)", urls.hotspot?.(h.key))}</td><td><code>${htmlEscape(issueLocation(h))}</code></td></tr>`,
+        )
+      }
+      parts.push("</table>")
+    }
+  }
+
+  if (report.worstFiles.length) {
+    parts.push(`<h2>Files with the most issues</h2><table><tr><th>File</th>${FILE_METRICS.map((m) => `<th>${htmlEscape(metricLabel(m))}</th>`).join("")}</tr>`)
+    for (const f of report.worstFiles) {
+      parts.push(`<tr><td><code>${htmlEscape(f.path)}</code></td>${FILE_METRICS.map((m) => `<td class="num">${htmlEscape(formatValue(m, f.measures[m]))}</td>`).join("")}</tr>`)
+    }
+    parts.push("</table>")
+  }
+
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en"><head><meta charset="utf-8">',
+    `<title>${htmlEscape(title)} report</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    "</head><body>",
+    ...parts,
+    "</body></html>",
+    "",
+  ].join("\n")
+}
+
+// Gate, new code metrics and the first new issues: what a reviewer wants to see on a PR
+export async function collectSummary({ host, token, project, branch, pullRequest, top = 5 }) {
+  const scope = { host, token, branch, pullRequest }
+  const [status, issues] = await Promise.all([
+    getProjectStatus({ ...scope, project, newCode: true }),
+    // On a pull request every issue is new code already
+    getIssues({ ...scope, project, statuses: OPEN_STATUSES, inNewCodePeriod: !pullRequest, limit: top }),
+  ])
+  return {
+    projectKey: project,
+    branch,
+    pullRequest,
+    qualityGate: status.qualityGate,
+    period: status.period,
+    metrics: Object.fromEntries(status.metrics.map((m) => [m.metric, m.value])),
+    newIssues: {
+      total: issues.paging.total,
+      top: [...issues.issues].sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)),
+    },
+  }
+}
+
+// What the condition requires, from the error comparator ("LT 80" fails below 80)
+const REQUIRED = { LT: "≥", GT: "≤", EQ: "≠", NE: "=" }
+const NEW_CODE_ORDER = ["new_coverage", "new_duplicated_lines_density", "new_bugs", "new_vulnerabilities", "new_code_smells"]
+
+function newCodeLabel(metric) {
+  return metricLabel(metric.replace(/^new_/, ""))
+}
+
+// Markdown shaped for a PR / MR comment: short, gate first, links back to the server.
+// `urls`: { dashboard, issue(key) }
+export function renderSummaryMarkdown(summary, urls = {}) {
+  const gate = summary.qualityGate || {}
+  const out = []
+  out.push(`### ${gatePassed(gate) ? "✅ Quality Gate passed" : `❌ Quality Gate ${gate.status === "ERROR" ? "failed" : (gate.status || "unknown").toLowerCase()}`}`, "")
+  const project = urls.dashboard ? `[${summary.projectKey}](${urls.dashboard})` : summary.projectKey
+  out.push(`**${project}**${scopeLabel(summary)} · New code: ${describePeriod(summary.period, summary.pullRequest)}`, "")
+
+  const failed = (gate.conditions || []).filter((c) => c.status === "ERROR")
+  if (failed.length) {
+    out.push("**Failed conditions**", "")
+    for (const c of failed) {
+      const required = REQUIRED[c.comparator] ? `${REQUIRED[c.comparator]} ${formatValue(c.metricKey, c.errorThreshold)}` : `${c.comparator} ${c.errorThreshold}`
+      out.push(`- ❌ ${metricLabel(c.metricKey)} is ${formatValue(c.metricKey, c.actualValue)}, required ${required}`)
+    }
+    out.push("")
+  }
+
+  const metrics = NEW_CODE_ORDER.filter((m) => m in summary.metrics)
+  if (metrics.length) {
+    out.push("| New code | Value |", "| --- | ---: |")
+    for (const m of metrics) out.push(`| ${newCodeLabel(m)} | ${formatValue(m, summary.metrics[m])} |`)
+    out.push("")
+  }
+
+  const { total, top } = summary.newIssues
+  out.push(`**${total} new issue${total === 1 ? "" : "s"}**`, "")
+  for (const i of top) {
+    const msg = mdEscape(i.message)
+    out.push(`- ${i.severity} ${urls.issue ? `[${msg}](${urls.issue(i.key)})` : msg} \`${issueLocation(i)}\``)
+  }
+  if (total > top.length) out.push(`- … and ${total - top.length} more`)
+  out.push("")
+  return out.join("\n")
+}
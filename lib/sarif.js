@@ -0,0 +1,168 @@
+import { fetchRule } from "./api-helpers.js"
+
+export const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json"
+
+const SEVERITY_LEVELS = {
+  BLOCKER: "error",
+  CRITICAL: "error",
+  HIGH: "error",
+  MAJOR: "warning",
+  MEDIUM: "warning",
+  MINOR: "note",
+  LOW: "note",
+  INFO: "note",
+}
+const IMPACT_RANK = ["INFO", "LOW", "MEDIUM", "HIGH", "BLOCKER"]
+
+// Clean Code impacts win over the legacy severity when the server sends both
+function issueLevel(issue) {
+  if (issue.impacts?.length) {
+    const worst = issue.impacts.map((i) => i.severity).sort((a, b) => IMPACT_RANK.indexOf(b) - IMPACT_RANK.indexOf(a))[0]
+    return SEVERITY_LEVELS[worst] || "warning"
+  }
+  return SEVERITY_LEVELS[issue.severity] || "warning"
+}
+
+// "my-proj:src/app.js" -> "src/app.js", optionally under srcRoot when the Sonar project is a
+// sub-directory of the repository. Returns undefined for project-level findings.
+export function componentPath(component, projectKey, srcRoot) {
+  if (!component || component === projectKey) return undefined
+  const rel = component.startsWith(`${projectKey}:`) ? component.slice(projectKey.length + 1) : component.split(":").slice(1).join(":")
+  if (!rel) return undefined
+  return srcRoot ? `${srcRoot.replace(/\/+$/, "")}/${rel}` : rel
+}
+
+// textRange offsets are 0-based columns, SARIF columns are 1-based
+function region(textRange, line) {
+  if (textRange) {
+    const r = { startLine: textRange.startLine, endLine: textRange.endLine }
+    if (textRange.startOffset !== undefined) r.startColumn = textRange.startOffset + 1
+    if (textRange.endOffset !== undefined) r.endColumn = textRange.endOffset + 1
+    return r
+  }
+  return line ? { startLine: line } : undefined
+}
+
+function location({ component, textRange, line, msg }, ctx) {
+  const uri = componentPath(component, ctx.projectKey, ctx.srcRoot)
+  if (!uri) return undefined
+  const loc = { physicalLocation: { artifactLocation: { uri, uriBaseId: "%SRCROOT%" } } }
+  const reg = region(textRange, line)
+  if (reg) loc.physicalLocation.region = reg
+  if (msg) loc.message = { text: msg }
+  return loc
+}
+
+// Single-location flows are Sonar's "secondary locations"; longer ones are real data/execution
+// flows, which the API lists last step first
+function flowsToSarif(flows, ctx) {
+  const related = []
+  const codeFlows = []
+  for (const flow of flows || []) {
+    const locs = (flow.locations || []).map((l) => location(l, ctx)).filter(Boolean)
+    if (locs.length === 1) related.push({ id: related.length + 1, ...locs[0] })
+    else if (locs.length > 1) codeFlows.push({ threadFlows: [{ locations: locs.reverse().map((l) => ({ location: l })) }] })
+  }
+  return { related, codeFlows }
+}
+
+function stripHtml(html) {
+  return String(html || "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim()
+}
+
+// Newer servers split the description into sections; older ones only send htmlDesc
+function ruleDescription(rule) {
+  if (rule.descriptionSections?.length) return stripHtml(rule.descriptionSections.map((s) => s.content).join(" "))
+  return stripHtml(rule.htmlDesc || rule.mdDesc)
+}
+
+// Fetch metadata for each distinct rule key; a rule the server no longer knows still gets an entry
+export async function fetchRulesFor({ host, token, keys }) {
+  const unique = [...new Set(keys.filter(Boolean))]
+  const rules = await Promise.all(unique.map((key) => fetchRule({ host, token, key }).catch(() => null)))
+  return new Map(unique.map((key, i) => [key, rules[i] || { key }]))
+}
+
+function sarifRule(rule, ruleUrl) {
+  const description = ruleDescription(rule)
+  const out = {
+    id: rule.key,
+    name: rule.name ? rule.name.replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : "")) : rule.key,
+    shortDescription: { text: rule.name || rule.key },
+    defaultConfiguration: { level: issueLevel(rule) },
+    properties: { tags: [...(rule.sysTags || []), ...(rule.tags || [])] },
+  }
+  if (description) {
+    out.fullDescription = { text: description }
+    out.help = { text: description }
+  }
+  if (ruleUrl) out.helpUri = ruleUrl(rule.key)
+  if (rule.type) out.properties.type = rule.type
+  return out
+}
+
+// Builds a SARIF 2.1.0 log with one run. `issues` and `hotspots` are the raw API objects,
+// `rules` the Map from fetchRulesFor, `ruleUrl(key)` an optional link to the rule page.
+export function buildSarifLog({ projectKey, issues = [], hotspots = [], rules, ruleUrl, srcRoot, toolName = "SonarQube", toolVersion }) {
+  const ctx = { projectKey, srcRoot }
+  const ruleKeys = [...rules.keys()]
+  const results = []
+
+  for (const issue of issues) {
+    const loc = location(issue, ctx)
+    const { related, codeFlows } = flowsToSarif(issue.flows, ctx)
+    const result = {
+      ruleId: issue.rule,
+      ruleIndex: ruleKeys.indexOf(issue.rule),
+      level: issueLevel(issue),
+      message: { text: issue.message || "(no message)" },
+      locations: loc ? [loc] : [],
+      partialFingerprints: { "sonarIssueKey/v1": issue.key },
+      properties: { severity: issue.severity, type: issue.type, status: issue.status },
+    }
+    if (issue.hash) result.partialFingerprints["sonarLineHash/v1"] = issue.hash
+    if (issue.impacts?.length) result.properties.impacts = issue.impacts
+    if (issue.tags?.length) result.properties.tags = issue.tags
+    if (related.length) result.relatedLocations = related
+    if (codeFlows.length) result.codeFlows = codeFlows
+    results.push(result)
+  }
+
+  for (const h of hotspots) {
+    const loc = location(h, ctx)
+    const { related, codeFlows } = flowsToSarif(h.flows, ctx)
+    const result = {
+      ruleId: h.ruleKey,
+      ruleIndex: ruleKeys.indexOf(h.ruleKey),
+      // SARIF only allows a level on "fail" results; a reviewed hotspot is a pass
+      kind: h.status === "REVIEWED" ? "pass" : "fail",
+      level: h.status === "REVIEWED" ? "none" : SEVERITY_LEVELS[h.vulnerabilityProbability] || "warning",
+      message: { text: h.message || "(no message)" },
+      locations: loc ? [loc] : [],
+      partialFingerprints: { "sonarHotspotKey/v1": h.key },
+      properties: { securityCategory: h.securityCategory, vulnerabilityProbability: h.vulnerabilityProbability, status: h.status, resolution: h.resolution },
+    }
+    if (related.length) result.relatedLocations = related
+    if (codeFlows.length) result.codeFlows = codeFlows
+    results.push(result)
+  }
+
+  const driver = {
+    name: toolName,
+    rules: [...rules.values()].map((r) => sarifRule(r, ruleUrl)),
+  }
+  if (toolVersion) driver.version = toolVersion
+  return {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [{ tool: { driver }, results, columnKind: "utf16CodeUnits" }],
+  }
+}
@@ -0,0 +1,69 @@
+import fs from "fs"
+import path from "path"
+import { execFileSync } from "child_process"
+
+// Java-style .properties: key=value or key: value, # / ! comments, no multi-line values
+export function parseProperties(text) {
+  const out = {}
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim()
+    if (!line || line.startsWith("#") || line.startsWith("!")) continue
+    const m = line.match(/^([^=:\s]+)\s*[=:]\s*(.*)$/)
+    if (m) out[m[1]] = m[2].trim()
+  }
+  return out
+}
+
+// The scanner writes report-task.txt after uploading an analysis (projectKey, serverUrl,
+// ceTaskId, ceTaskUrl, dashboardUrl, ...). Returns null when the file is missing.
+export function readReportTask(file = path.join(".scannerwork", "report-task.txt")) {
+  const abs = path.isAbsolute(file) ? file : path.join(process.cwd(), file)
+  if (!fs.existsSync(abs)) return null
+  return parseProperties(fs.readFileSync(abs, "utf8"))
+}
+
+// <sonar.projectKey> inside the pom's <properties>; the Maven default (groupId:artifactId) is
+// not guessed
+function pomProjectKey(text) {
+  const m = text.match(/<sonar\.projectKey>\s*([^<\s]+)\s*<\/sonar\.projectKey>/)
+  return m ? m[1] : undefined
+}
+
+const PROJECT_FILES = [
+  ["sonar-project.properties", (text) => parseProperties(text)["sonar.projectKey"]],
+  [".sonarcloud.properties", (text) => parseProperties(text)["sonar.projectKey"]],
+  ["pom.xml", pomProjectKey],
+]
+
+// Walks up from `cwd` and stops at the repository root (the directory holding .git), so a
+// checkout nested in another project never picks up the outer key. The nearest directory wins.
+// Returns { value, file } or undefined.
+export function detectProjectKey(cwd = process.cwd()) {
+  let dir = path.resolve(cwd)
+  for (;;) {
+    for (const [name, read] of PROJECT_FILES) {
+      const file = path.join(dir, name)
+      if (!fs.existsSync(file)) continue
+      const value = read(fs.readFileSync(file, "utf8"))
+      if (value) return { value, file }
+    }
+    const parent = path.dirname(dir)
+    if (parent === dir || fs.existsSync(path.join(dir, ".git"))) return undefined
+    dir = parent
+  }
+}
+
+// Current branch, or undefined outside a git checkout or on a detached HEAD
+export function detectGitBranch(cwd = process.cwd()) {
+  try {
+    const out = execFileSync("git", ["rev-parse", "--abbrev-ref", "HEAD"], {
+      cwd,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+      timeout: 2000,
+    }).trim()
+    return out && out !== "HEAD" ? out : undefined
+  } catch {
+    return undefined
+  }
+}
@@ -0,0 +1,57 @@
+import fs from "fs"
+import { diffIssues } from "./compare.js"
+
+const SNAPSHOT_VERSION = 1
+// Default scope of a snapshot: unresolved issues
+export const OPEN_STATUSES = "OPEN,CONFIRMED,REOPENED"
+// What a diff needs to match and print an issue; the rest of the API object is dropped
+const KEPT_FIELDS = ["key", "rule", "severity", "type", "status", "message", "component", "line", "textRange", "hash", "impacts", "creationDate"]
+
+function slim(issue) {
+  return Object.fromEntries(KEPT_FIELDS.filter((f) => issue[f] !== undefined).map((f) => [f, issue[f]]))
+}
+
+// `query` is the filter set the issues were fetched with, so a later diff can ask for the same
+export function saveSnapshot(file, { projectKey, branch, pullRequest, query, issues }) {
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    projectKey,
+    branch,
+    pullRequest,
+    query,
+    issues: issues.map(slim),
+  }
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + "\n")
+  return snapshot
+}
+
+export function loadSnapshot(file) {
+  let snapshot
+  try {
+    snapshot = JSON.parse(fs.readFileSync(file, "utf8"))
+  } catch (e) {
+    throw new Error(`Cannot read snapshot ${file}: ${e.message}`)
+  }
+  if (snapshot?.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.issues))
+    throw new Error(`${file} is not an issues snapshot (expected version ${SNAPSHOT_VERSION})`)
+  return snapshot
+}
+
+// Blocker by legacy severity or by any Clean Code impact
+export function isBlocker(issue) {
+  return issue.severity === "BLOCKER" || !!issue.impacts?.some((i) => i.severity === "BLOCKER")
+}
+
+// Issue keys first (same branch, issue still tracked), then rule + file + line hash for issues
+// the server re-created, e.g. after a branch was re-analyzed from scratch
+export function diffSnapshot(snapshotIssues, currentIssues) {
+  const currentKeys = new Set(currentIssues.map((i) => i.key))
+  const snapshotKeys = new Set(snapshotIssues.map((i) => i.key))
+  const { onlyHead: added, onlyBase: fixed } = diffIssues(
+    snapshotIssues.filter((i) => !currentKeys.has(i.key)),
+    currentIssues.filter((i) => !snapshotKeys.has(i.key)),
+  )
+  const addedKeys = new Set(added.map((i) => i.key))
+  return { added, fixed, unchanged: currentIssues.filter((i) => !addedKeys.has(i.key)) }
+}